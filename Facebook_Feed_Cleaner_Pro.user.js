@@ -44,41 +44,194 @@
       'div[aria-label][role="button"][tabindex="0"]'
     ],
 
-    // Menu items (we check textContent case-insensitively)
-    unfollowMenuPhrases: [
-      'unfollow',
-      'hide all from',
-      'stop seeing posts from',
-      'see fewer posts from'
-    ],
-    confirmPhrases: [
-      'unfollow',
-      'hide all from',
-      'confirm',
-      'done',
-      'ok'
+    // Menu, button, label and friend-hint phrases are language dependent: see LOCALE_PACKS
+
+    // Post body (message) containers, used for the body: keyword scope
+    messageSelectors: [
+      '[data-ad-preview="message"]',
+      '[data-ad-comet-preview="message"]'
     ],
-    cancelPhrases: [
-      'not now',
-      'cancel',
-      'close',
-      'dismiss'
+
+    // Feed modules that are not articles (carousels, trays); direct feed children are checked too
+    unitSelectors: [
+      '[data-pagelet="Stories"]',
+      'div[aria-label="Stories"]',
+      'div[aria-label="Reels"]'
     ],
 
-    // Friend heuristics (lightweight text hints present in the post context around the actor)
-    friendHints: ['friends', 'mutual', 'followed by', 'are friends', 'is friends with'],
+    // Source page (profile / page / group header) used by the refollow queue
+    sourceHeaderSelector: 'div[role="main"]',
 
-    // Detection indicators
-    sponsoredIndicators: ['Sponsored', 'a[href*="/ads/about/"]'],
-    suggestedIndicators: ['Suggested for you', 'People you may know'],
+    // Detection indicators (the label texts live in LOCALE_PACKS)
+    sponsoredLinkSelectors: [
+      'a[href*="/ads/about"]',
+      'a[href*="/ads/preferences"]',
+      'a[href*="/ads/library"]',
+      'a[href*="ad_id="]'
+    ],
+    // Links that occupy the header timestamp slot on organic posts
+    timestampLinkPattern: /\/posts\/|\/permalink|story_fbid=|\/videos\/|\/photos?[/.?]|\/reel\/|\/watch\/|\/events\//,
+    sponsoredMinConfidence: 0.6,
+    adPatternsMax: 50,        // "Mark as missed ad" entries kept (oldest dropped)
+    diagnosticsMaxPosts: 50,  // posts sampled by the selector health check
 
     // Timers
-    scanInterval: 1600,
-    scrollInterval: 3000,
+    scanDebounceMs: 250,      // mutations are coalesced this long before added nodes are resolved to posts
+    scanIdleTimeoutMs: 1000,  // requestIdleCallback deadline, so a busy page still gets scanned
+    unfollowGapMs: 2500,      // base pause between unfollows in a batch (randomised by humanDelay)
+    scrollInterval: 3000,     // starting auto-scroll pace; sessions adapt it between the min and max
+    scrollIntervalMin: 1500,
+    scrollIntervalMax: 12000,
     scrollAmount: 750,
+    scrollBacklogMax: 15,     // scanner queue length at which auto-scroll waits instead of scrolling
 
     // Attributes
-    processedAttr: 'data-ffcp-processed'
+    processedAttr: 'data-ffcp-processed',
+
+    // Storage
+    settingsKey: 'ffcp_settings',
+    legacySettingsKeys: ['ffcp_settings_v42'],   // newest first; read when settingsKey is missing
+    governorKey: 'ffcp_governor',
+    friendsKey: 'ffcp_friends',
+    ledgerKey: 'ffcp_ledger',
+    ledgerMax: 5000,
+    sourceQueueKey: 'ffcp_source_queue',
+    sourceQueueLockKey: 'ffcp_source_queue_lock', // { tab, ts } of the tab working through the queue
+    sourceQueueLockMs: 180000, // a lock older than this is taken over (its tab was closed mid-job)
+    unfollowBatchKey: 'ffcp_unfollow_batch', // results of the off-feed unfollow batch shown in the Tools tab
+    unfollowBatchMax: 500,
+    reviewKey: 'ffcp_review',  // approve / reject decisions for unfollow targets, by source
+    reviewExcerptsMax: 3,      // sample excerpts kept per pending target
+    classifierKey: 'ffcp_classifier', // learned filter model (see Classifier)
+    classifierMinDocs: 5,     // hide and keep examples each needed before posts are scored
+    classifierTermsMax: 8000, // vocabulary size; the rarest terms are dropped beyond it
+    classifierSeenMax: 2000,  // trained post hashes remembered so a label can be changed
+    classifierWordsMax: 300,  // words of a post body that are tokenized
+    seenKey: 'ffcp_seen',     // post fingerprints for duplicate detection (see SeenPosts)
+    seenMax: 2000,
+    duplicateSigSize: 24,     // MinHash slots per text signature
+    duplicateShingle: 4,      // words per shingle
+    duplicateMinWords: 8,     // shorter texts are only compared by link and image
+    logKey: 'ffcp_log',
+    logRenderMax: 200,        // log entries drawn in the Log tab; exports always include the whole log
+    dailyStatsKey: 'ffcp_daily_stats',
+    dailyStatsSaveMs: 5000,   // batching delay for daily stats and log writes (flushed on pagehide)
+    dailySourcesMax: 100      // hidden sources kept per day for the leaderboard
+  };
+
+  // Phrase lists per Facebook UI language. Menu/button phrases are compared lowercased;
+  // sponsored/suggested labels are matched case-sensitively against the post text.
+  const PHRASE_KEYS = {
+    sponsored: 'Sponsored labels',
+    suggested: 'Suggested labels',
+    adCta: 'Ad call-to-action buttons',
+    unfollowMenu: 'Unfollow menu items',
+    confirm: 'Confirm buttons',
+    cancel: 'Cancel buttons',
+    friendHints: 'Friend hints',
+    follow: 'Follow buttons',
+    followState: 'Already-following buttons',
+    friendsButton: 'Friends button (friend profiles)',
+    unitReels: 'Unit heading: Reels',
+    unitStories: 'Unit heading: Stories',
+    unitPymk: 'Unit heading: People You May Know',
+    unitGroups: 'Unit heading: Groups you might like',
+    unitFollow: 'Unit heading: Page suggestions',
+    unitFollowButton: 'Page suggestions: Follow buttons',
+    unitMemories: 'Unit heading: Memories',
+    unitActivity: 'Activity header (commented / reacted)',
+    unitLifeEvents: 'Life event phrases'
+  };
+
+  const LOCALE_PACKS = {
+    en: {
+      label: 'English',
+      sponsored: ['Sponsored'],
+      suggested: ['Suggested for you', 'People you may know'],
+      adCta: ['learn more', 'shop now', 'sign up', 'install now', 'book now', 'get offer', 'apply now', 'order now', 'download'],
+      unfollowMenu: ['unfollow', 'hide all from', 'stop seeing posts from', 'see fewer posts from'],
+      confirm: ['unfollow', 'hide all from', 'confirm', 'done', 'ok'],
+      cancel: ['not now', 'cancel', 'close', 'dismiss'],
+      friendHints: ['friends', 'mutual', 'followed by', 'are friends', 'is friends with'],
+      follow: ['follow', 'follow page', 'follow group', 'like', 'like page'],
+      followState: ['following', 'friends', 'joined', 'liked'],
+      friendsButton: ['friends'],
+      unitReels: ['reels', 'reels and short videos'],
+      unitStories: ['stories'],
+      unitPymk: ['people you may know'],
+      unitGroups: ['groups you might like', 'groups you may like', 'suggested groups'],
+      unitFollow: ['suggested pages', 'pages you may like'],
+      unitFollowButton: ['follow', 'follow page', 'follow group'],
+      unitMemories: ['memories', 'on this day', 'your memories'],
+      unitActivity: ['commented on this', 'reacted to this', 'liked this', 'replied to a comment'],
+      unitLifeEvents: ['life event', 'started a new job', 'got married', 'moved to', 'got engaged', 'is in a relationship', 'graduated from']
+    },
+    de: {
+      label: 'Deutsch',
+      sponsored: ['Gesponsert'],
+      suggested: ['Vorgeschlagen für dich', 'Für dich vorgeschlagen', 'Personen, die du kennen könntest'],
+      adCta: ['mehr dazu', 'jetzt einkaufen', 'registrieren', 'jetzt installieren', 'jetzt buchen', 'angebot abrufen', 'jetzt bewerben', 'jetzt bestellen', 'herunterladen'],
+      unfollowMenu: ['nicht mehr folgen', 'alles von', 'weniger beiträge von'],
+      confirm: ['nicht mehr folgen', 'bestätigen', 'fertig', 'ok'],
+      cancel: ['nicht jetzt', 'abbrechen', 'schließen', 'verwerfen'],
+      friendHints: ['freunde', 'gemeinsame', 'gefolgt von', 'sind freunde', 'ist befreundet mit'],
+      follow: ['folgen', 'seite folgen', 'gruppe folgen', 'gefällt mir'],
+      followState: ['abonniert', 'folge ich', 'freunde', 'beigetreten', 'gefällt dir'],
+      friendsButton: ['freunde'],
+      unitReels: ['reels', 'reels und kurze videos'],
+      unitStories: ['stories'],
+      unitPymk: ['personen, die du kennen könntest'],
+      unitGroups: ['gruppen, die dir gefallen könnten', 'vorgeschlagene gruppen'],
+      unitFollow: ['vorgeschlagene seiten', 'seiten, die dir gefallen könnten'],
+      unitFollowButton: ['folgen', 'seite folgen', 'gruppe folgen'],
+      unitMemories: ['erinnerungen', 'an diesem tag', 'deine erinnerungen'],
+      unitActivity: ['hat das kommentiert', 'hat darauf reagiert', 'gefällt das'],
+      unitLifeEvents: ['lebensereignis', 'hat einen neuen job', 'hat geheiratet', 'ist umgezogen nach', 'hat sich verlobt']
+    },
+    es: {
+      label: 'Español',
+      sponsored: ['Publicidad', 'Patrocinado'],
+      suggested: ['Sugerencias para ti', 'Sugerido para ti', 'Personas que quizá conozcas'],
+      adCta: ['más información', 'comprar', 'registrarte', 'instalar ahora', 'reservar', 'obtener oferta', 'solicitar ahora', 'pedir ahora', 'descargar'],
+      unfollowMenu: ['dejar de seguir', 'ocultar todo de', 'ver menos publicaciones de'],
+      confirm: ['dejar de seguir', 'confirmar', 'listo', 'aceptar'],
+      cancel: ['ahora no', 'cancelar', 'cerrar', 'descartar'],
+      friendHints: ['amigos', 'en común', 'seguido por', 'son amigos', 'es amigo de'],
+      follow: ['seguir', 'seguir página', 'seguir grupo', 'me gusta'],
+      followState: ['siguiendo', 'amigos', 'te uniste', 'te gusta'],
+      friendsButton: ['amigos'],
+      unitReels: ['reels', 'reels y videos cortos'],
+      unitStories: ['historias'],
+      unitPymk: ['personas que quizá conozcas'],
+      unitGroups: ['grupos que te pueden gustar', 'grupos sugeridos'],
+      unitFollow: ['páginas sugeridas', 'páginas que te pueden gustar'],
+      unitFollowButton: ['seguir', 'seguir página', 'seguir grupo'],
+      unitMemories: ['recuerdos', 'un día como hoy', 'tus recuerdos'],
+      unitActivity: ['comentó esto', 'reaccionó a esto', 'le gusta esto'],
+      unitLifeEvents: ['acontecimiento importante', 'empezó a trabajar', 'se casó', 'se mudó a', 'se comprometió']
+    },
+    pt: {
+      label: 'Português',
+      sponsored: ['Patrocinado'],
+      suggested: ['Sugestões para você', 'Sugerido para você', 'Pessoas que você talvez conheça'],
+      adCta: ['saiba mais', 'comprar agora', 'cadastre-se', 'instalar agora', 'reservar agora', 'obter oferta', 'candidatar-se agora', 'peça agora', 'baixar'],
+      unfollowMenu: ['deixar de seguir', 'ocultar tudo de', 'ver menos publicações de'],
+      confirm: ['deixar de seguir', 'confirmar', 'concluir', 'ok'],
+      cancel: ['agora não', 'cancelar', 'fechar', 'ignorar'],
+      friendHints: ['amigos', 'em comum', 'seguido por', 'são amigos', 'é amigo de'],
+      follow: ['seguir', 'seguir página', 'seguir grupo', 'curtir'],
+      followState: ['seguindo', 'amigos', 'participando', 'curtiu'],
+      friendsButton: ['amigos'],
+      unitReels: ['reels', 'reels e vídeos curtos'],
+      unitStories: ['stories', 'histórias'],
+      unitPymk: ['pessoas que você talvez conheça'],
+      unitGroups: ['grupos que você pode gostar', 'grupos sugeridos'],
+      unitFollow: ['páginas sugeridas', 'páginas que você pode curtir'],
+      unitFollowButton: ['seguir', 'seguir página', 'seguir grupo'],
+      unitMemories: ['lembranças', 'neste dia', 'suas lembranças'],
+      unitActivity: ['comentou isto', 'reagiu a isto', 'curtiu isto'],
+      unitLifeEvents: ['acontecimento', 'começou a trabalhar', 'se casou', 'mudou-se para', 'ficou noivo']
+    }
   };
 
   const state = {
@@ -88,34 +241,87 @@
     protectFriends: true,
     hideSponsored: true,
     hideSuggested: true,
+    hideModes: {},        // reason -> 'placeholder' | 'full'
+    hideUnits: {},        // feed unit type id -> enabled (see FEED_UNITS)
     keywordList: [],
+    domainBlocklist: [],  // outbound link domains to hide; subdomains match too
+    domainAllowlist: [],  // exceptions to the blocklist
     autoScroll: false,
+    autoScrollLimits: { posts: 0, targets: 0, minutes: 30, idleScrolls: 5 }, // session stop conditions (0 = off)
     logPosts: true,
+    logMax: 300,          // log entries kept (persisted across reloads)
     highlightPosts: true,
 
     whitelist: [],
+    locale: 'auto',       // 'auto' follows <html lang>, otherwise a locale code
+    localePhrases: {},    // user edits: { de: { sponsored: [...] } }, replacing the pack list for that key
+    rules: [],            // {id, name, enabled, match: 'all'|'any', conditions: [{field, op, value, not}], action}
+    learnedFilter: false, // hide posts the learned filter scores at or above learnedThreshold
+    learnedThreshold: 90, // percent
+    hideDuplicates: false, // reposts and posts already seen within duplicateWindowHours
+    duplicateAction: 'collapse', // 'collapse' | 'hide'
+    duplicateThreshold: 80, // percent of matching text signature slots
+    duplicateWindowHours: 72,
+    adPatterns: [],       // posts marked as missed ads in the element picker: {id, name, addedAt, features} (see adFeatures)
+    selectorOverrides: {}, // CONFIG selector key -> ordered selector list replacing the default (see SELECTOR_KEYS)
+    routeProfiles: {},    // route id or 'group:<id>' -> { hideSponsored?, hideSuggested?, autoUnfollow?, hideUnits?, keywordMode?, keywordList? }
+
+    // Unfollow safety (0 = no limit)
+    unfollowLimits: { perMinute: 3, perHour: 30, perDay: 100 },
+    breakerThreshold: 3,  // consecutive unfollow errors that trip the circuit breaker
+    breakerCooldownMin: 30,
+    statsRetentionDays: 90, // daily stats older than this are pruned
+    shortcuts: {          // SHORTCUT_ACTIONS id -> key combination ('' = unbound)
+      toggleDrawer: 'Alt+Shift+F',
+      palette: 'Alt+Shift+K',
+      picker: 'Alt+Shift+P',
+      hidePost: 'Alt+Shift+H',
+      whitelistPost: 'Alt+Shift+W',
+      autoScroll: 'Alt+Shift+S'
+    },
+    friendHeuristic: true, // fall back to friend text hints for sources not in the friend cache
 
     // Runtime
     isPanelOpen: false,
     feedObserver: null,
-    scrollTimer: null,
+    ruleDraft: null,      // rule being edited in the Rules tab
+    route: null,          // { id, label, key, group } from currentRoute()
 
     // Data
     loggedPostsData: [],
     analysis: [],
-    pendingTargets: [],   // {name, link, reason, isFriend}
+    pendingTargets: [],   // {source, reason, excerpts, approved, addedAt, dryRun}; only approved ones are executed
+    reviewDecisions: {},  // sourceKey -> {decision: 'approved'|'rejected', name, link, reason, ts}
     executedTargets: [],  // executed results
     unfollowedThisSession: new Set(),
+    friends: {},          // friend cache: sourceKey -> {name, link, source, addedAt}; name-only imports use "name:<name>"
+    ledger: [],           // persisted unfollow history {id, name, link, type, reason, ts, success, error, excerpt, refollowedAt}
+    ledgerSources: new Set(), // sourceKey of every ledger unfollow still in effect; see indexLedger()
 
     stats: {
       processed: 0,
       unfollowed: 0,
       hidden: 0,
       protected: 0,
-      errors: 0
+      errors: 0,
+      byType: {}          // matched posts per feed unit type ('post' for ordinary posts)
     }
   };
 
+  // Keys persisted by saveSettings and accepted by import; add new settings here
+  const SETTINGS_KEYS = [
+    'autoUnfollow', 'dryRun', 'protectFriends',
+    'hideSponsored', 'hideSuggested', 'hideModes', 'hideUnits', 'keywordList', 'domainBlocklist', 'domainAllowlist',
+    'autoScroll', 'autoScrollLimits', 'logPosts', 'logMax', 'highlightPosts',
+    'whitelist', 'locale', 'localePhrases', 'rules', 'learnedFilter', 'learnedThreshold',
+    'hideDuplicates', 'duplicateAction', 'duplicateThreshold', 'duplicateWindowHours', 'adPatterns', 'routeProfiles', 'selectorOverrides',
+    'unfollowLimits', 'breakerThreshold', 'breakerCooldownMin', 'friendHeuristic', 'statsRetentionDays', 'shortcuts'
+  ];
+
+  // Bump SETTINGS_VERSION together with a SETTINGS_MIGRATIONS entry that upgrades from the previous version
+  const SETTINGS_VERSION = 3;
+  const DEFAULT_SETTINGS = JSON.parse(JSON.stringify(Object.fromEntries(SETTINGS_KEYS.map(k => [k, state[k]]))));
+
   // -----------------------------
   // UTILITIES
   // -----------------------------
@@ -124,6 +330,77 @@
   const sleep = (ms) => new Promise(r => setTimeout(r, ms));
   const clip = (s, n = 240) => (s || '').trim().replace(/\s+/g, ' ').slice(0, n) + ((s || '').length > n ? '…' : '');
 
+  function loadJSON(key, fallback) {
+    const raw = GM_getValue(key, null);
+    if (raw == null) return fallback;
+    try { return JSON.parse(raw); } catch { return fallback; }
+  }
+
+  function saveJSON(key, value) {
+    GM_setValue(key, JSON.stringify(value));
+  }
+
+  // 32-bit FNV-1a
+  function fnv1a(str) {
+    let h = 0x811c9dc5;
+    for (const ch of str) {
+      h ^= ch.codePointAt(0);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  function clickEl(el) {
+    el.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window }));
+  }
+
+  // Randomised, right-skewed pause around base ms: never under 0.7 × base, occasionally much longer
+  function humanDelay(base) {
+    const tail = -Math.log(1 - Math.random()) * 0.35;
+    return sleep(Math.round(base * (0.7 + Math.random() * 0.5 + tail)));
+  }
+
+  async function waitFor(fn, timeout = 8000, step = 250) {
+    const end = Date.now() + timeout;
+    while (Date.now() < end) {
+      const found = fn();
+      if (found) return found;
+      await sleep(step);
+    }
+    return null;
+  }
+
+  // Stable key for a source link: profile.php?id=N keeps its id, everything else is the lowercased path
+  function sourceKey(link) {
+    try {
+      const u = new URL(link, location.origin);
+      if (/\/profile\.php$/.test(u.pathname) && u.searchParams.get('id')) return `id:${u.searchParams.get('id')}`;
+      if (u.searchParams.get('profile_id')) return `id:${u.searchParams.get('profile_id')}`;
+      return u.pathname.replace(/\/+$/, '').toLowerCase() || '/';
+    } catch {
+      return (link || '').toLowerCase();
+    }
+  }
+
+  function detectedLocale() {
+    return (document.documentElement.lang || 'en').toLowerCase().split(/[-_]/)[0] || 'en';
+  }
+
+  function activeLocale() {
+    return state.locale && state.locale !== 'auto' ? state.locale : detectedLocale();
+  }
+
+  function localePhrases(locale, key) {
+    return state.localePhrases[locale]?.[key] || LOCALE_PACKS[locale]?.[key] || [];
+  }
+
+  // Active-locale phrases; English is always checked as well since parts of the UI stay untranslated
+  function phrases(key) {
+    const locale = activeLocale();
+    const list = localePhrases(locale, key);
+    return locale === 'en' ? list : [...new Set([...list, ...localePhrases('en', key)])];
+  }
+
   function caseIncludes(hay, needle) {
     return (hay || '').toLowerCase().includes((needle || '').toLowerCase());
   }
@@ -163,33 +440,73 @@
   // DETECTION
   // -----------------------------
   function isSponsored(post) {
-    const t = post.innerText || '';
-    for (const h of CONFIG.sponsoredIndicators) {
-      if (h.startsWith('a[')) { if (qs(h, post)) return true; }
-      else if (t.includes(h)) return true;
-    }
-    return false;
+    return detectSponsored(post).sponsored;
+  }
+
+  function isSuggested(post, ctx) {
+    const t = ctx ? ctx.text : (post.innerText || '');
+    return phrases('suggested').some(h => t.includes(h));
   }
 
-  function isSuggested(post) {
-    const t = post.innerText || '';
-    return CONFIG.suggestedIndicators.some(h => t.includes(h));
+  // Returns the raw keyword term that matched, or null. Any matching -exclusion term vetoes the match.
+  function matchesKeywords(post, ctx = postContext(post)) {
+    const terms = compiledKeywords();
+    if (!terms.length) return null;
+    const hits = (term) => term.re.test(keywordScopeText(term.scope, ctx));
+    if (terms.some(t => t.exclude && hits(t))) return null;
+    return terms.find(t => !t.exclude && hits(t))?.raw || null;
   }
 
-  function matchesKeywords(post) {
-    if (!state.keywordList.length) return false;
-    const t = (post.innerText || '').toLowerCase();
-    return state.keywordList.some(k => t.includes(k.toLowerCase()));
+  function bodyText(post) {
+    const message = anySelector(post, CONFIG.messageSelectors);
+    if (message) return message.innerText || '';
+    // Fallback: drop nested articles (comments), forms and the actor header
+    const clone = post.cloneNode(true);
+    qsa('[role="article"], form, h2, h3, h4', clone).forEach(el => el.remove());
+    return clone.innerText || clone.textContent || '';
   }
 
-  function classify(post) {
-    if (state.hideSponsored && isSponsored(post)) return 'Sponsored';
-    if (state.hideSuggested && isSuggested(post)) return 'Suggested';
-    if (matchesKeywords(post)) return 'Keyword Match';
+  function keywordScopeText(scope, ctx) {
+    if (scope === 'name') return ctx.actor?.name || '';
+    if (scope === 'body') return ctx.bodyText;
+    return ctx.text;
+  }
+
+  // Returns { reason, action, rule, keyword, domain } for the first user rule that fires, falling back to the
+  // built-in category toggles (which use the global hide / auto-unfollow action). Toggles, keywords and
+  // auto-unfollow go through setting() so the current route profile applies.
+  function classify(post, ctx = postContext(post)) {
+    // Whitelisted sources are never matched, by rules or by the built-in categories
+    if (state.whitelist.length && whitelistMatch(ctx.actor, ctx.domains)) return null;
+    for (const rule of state.rules) {
+      if (rule.enabled && ruleMatches(rule, ctx)) {
+        const uses = (category) => rule.conditions.some(c => c.field === 'category' && c.value === category && !c.not);
+        return {
+          reason: `Rule: ${rule.name}`, action: rule.action, rule,
+          keyword: uses('Keyword') ? ctx.keyword : null,
+          domain: uses('Domain') ? ctx.blockedDomain : null
+        };
+      }
+    }
+    const action = setting('autoUnfollow') ? 'auto-unfollow' : 'hide';
+    if (setting('hideSponsored') && ctx.hasCategory('Sponsored')) return { reason: 'Sponsored', action, rule: null };
+    // Unit types are checked before Suggested (PYMK etc. also carry suggested labels) and are only
+    // ever hidden: a carousel or tray has no single source to unfollow.
+    const unit = ctx.unitType;
+    if (unit && setting('hideUnits')[unit]) return { reason: FEED_UNITS[unit].label, action: 'hide', rule: null };
+    if (setting('hideSuggested') && ctx.hasCategory('Suggested')) return { reason: 'Suggested', action, rule: null };
+    if (ctx.hasCategory('Keyword')) return { reason: 'Keyword Match', action, rule: null, keyword: ctx.keyword };
+    if (ctx.hasCategory('Domain')) return { reason: 'Blocked Domain', action, rule: null, domain: ctx.blockedDomain };
+    if (setting('learnedFilter') && ctx.hasCategory('Learned')) return { reason: 'Learned Filter', action, rule: null };
+    // Reposts say nothing about their source, so they are never unfollowed
+    if (setting('hideDuplicates') && ctx.hasCategory('Duplicate')) {
+      return { reason: 'Duplicate', action: state.duplicateAction === 'hide' ? 'hide' : 'collapse', rule: null };
+    }
     return null;
   }
 
-  function findActor(post) {
+  // text: the post's innerText when the caller already has it (postContext)
+  function findActor(post, text = null) {
     // Prefer visible link in the actor area
     let linkEl = null;
     for (const sel of CONFIG.actorLinkSelectors) {
@@ -200,237 +517,2284 @@
 
     const name = (linkEl.innerText || linkEl.getAttribute('aria-label') || '').trim();
     const href = linkEl.href;
-    const text = (post.innerText || '').toLowerCase();
+    const lowerText = (text ?? post.innerText ?? '').toLowerCase();
     const isGroup = /\/groups\//.test(href);
     const isPage = /\/pages\//.test(href);
     const looksPerson = href.includes('/profile.php') || href.includes('/people/');
-    const friendish = CONFIG.friendHints.some(h => text.includes(h.toLowerCase()));
-    const isFriend = looksPerson && friendish && !isGroup && !isPage;
+    const cached = friendLookup(href, name);
+    // Text hints are only a fallback for sources the friend cache does not know
+    const friendish = !cached && state.friendHeuristic && phrases('friendHints').some(h => lowerText.includes(h.toLowerCase()));
+    const heuristicFriend = looksPerson && friendish && !isGroup && !isPage;
+    const isFriend = !!cached || heuristicFriend;
+    const friendSource = cached ? 'cache' : heuristicFriend ? 'heuristic' : '';
+    const type = isGroup ? 'group' : isPage ? 'page' : looksPerson || cached ? 'person' : 'other';
+
+    return { name, link: href, type, isGroup, isPage, isFriend, friendSource };
+  }
+
+  // Where a link really goes: Facebook's l.php redirect unwrapped, tracking parameters and the fragment
+  // dropped. Returns a URL, or null for links that stay on Facebook.
+  function outboundLink(href) {
+    try {
+      let u = new URL(href, location.href);
+      if (/(^|\.)facebook\.com$/.test(u.hostname) && u.pathname === '/l.php' && u.searchParams.get('u')) {
+        u = new URL(u.searchParams.get('u'));
+      }
+      if (!/^https?:$/.test(u.protocol) || /(^|\.)(facebook|fb)\.com$/.test(u.hostname)) return null;
+      for (const key of [...u.searchParams.keys()]) {
+        if (TRACKING_PARAMS.test(key) || key.startsWith('utm_')) u.searchParams.delete(key);
+      }
+      u.hash = '';
+      return u;
+    } catch {
+      return null;
+    }
+  }
+
+  // Comparable form of an outbound link: host without www, path without a trailing slash, remaining query
+  function outboundUrl(href) {
+    const u = outboundLink(href);
+    return u ? `${u.hostname.replace(/^www\./, '')}${u.pathname.replace(/\/$/, '')}${u.search}` : null;
+  }
 
-    return { name, link: href, isGroup, isPage, isFriend };
+  function linkDomains(post) {
+    const domains = new Set();
+    for (const a of qsa('a[href]', post)) {
+      const u = outboundLink(a.href);
+      if (u) domains.add(u.hostname.replace(/^www\./, ''));
+    }
+    return [...domains];
+  }
+
+  // "https://www.Example.com/x", "*.example.com" or "example.com" -> "example.com"; '' when not a host name
+  function normalizeDomain(input) {
+    const host = (input || '').trim().toLowerCase()
+      .replace(/^[a-z]+:\/\//, '').replace(/^\*\./, '').replace(/^www\./, '').split(/[/?#:]/)[0];
+    return /^[\p{L}\p{N}-]+(\.[\p{L}\p{N}-]+)+$/u.test(host) ? host : '';
+  }
+
+  function domainListMatch(domain, list) {
+    return list.find(entry => domain === entry || domain.endsWith(`.${entry}`)) || null;
+  }
+
+  // First outbound domain on the blocklist and not on the allowlist (allowlist entries are exceptions,
+  // e.g. block example.com but allow news.example.com), or null
+  function blockedDomain(domains) {
+    if (!state.domainBlocklist.length) return null;
+    return domains.find(d => domainListMatch(d, state.domainBlocklist) && !domainListMatch(d, state.domainAllowlist)) || null;
   }
 
   // -----------------------------
-  // ACTIONS
+  // SPONSORED DETECTOR
   // -----------------------------
-  function hidePost(post, reason) {
-    if (state.highlightPosts) post.style.outline = '2px solid #fd7e14';
-    post.style.transition = 'opacity .25s ease';
-    post.style.opacity = '0';
-    setTimeout(() => { post.style.display = 'none'; }, 250);
-    post.setAttribute('data-ffcp-hidden-reason', reason);
-    state.stats.hidden++;
+  // Facebook obfuscates the "Sponsored" label: single-character spans in shuffled DOM order
+  // (re-ordered with CSS), hidden decoy letters, aria-labelledby indirection and SVG <text>.
+  // Each signal below has a confidence; independent signals are combined as 1 - Π(1 - c).
+  const SPONSOR_SIGNALS = {
+    adLink: { label: 'ad link', confidence: 0.95 },
+    renderedLabel: { label: 'rendered header label', confidence: 0.9 },
+    ariaLabel: { label: 'aria-labelledby label', confidence: 0.85 },
+    svgLabel: { label: 'SVG text label', confidence: 0.8 },
+    textLabel: { label: 'plain text label', confidence: 0.6 },
+    noTimestamp: { label: 'no timestamp in header slot', confidence: 0.35 },
+    ctaButton: { label: 'ad call-to-action button', confidence: 0.3 },
+    learned: { label: 'learned ad pattern', confidence: 0.8 }
+  };
+
+  const normalizeLabel = (s) => (s || '').replace(/[\s\u200b-\u200d\u2060\ufeff·•|]+/g, '');
+
+  function isRenderedVisible(el, root, styles) {
+    for (let node = el; node && node !== root.parentElement; node = node.parentElement) {
+      let cs = styles.get(node);
+      if (!cs) { cs = getComputedStyle(node); styles.set(node, cs); }
+      if (cs.display === 'none' || cs.visibility === 'hidden' || cs.visibility === 'collapse') return false;
+      if (parseFloat(cs.opacity) === 0 || parseFloat(cs.fontSize) === 0) return false;
+      if (cs.position === 'absolute' || cs.position === 'fixed') {
+        // Screen-reader-only / clipped decoys
+        if (/rect\(0(px)?,?\s*0(px)?/.test(cs.clip) || /inset\(50%\)/.test(cs.clipPath)) return false;
+        if (parseFloat(cs.width) <= 1 && parseFloat(cs.height) <= 1) return false;
+      }
+    }
+    return true;
   }
 
-  async function unfollowSourceOfPost(post, reason, actor) {
-    if (!actor || !actor.link || !actor.name) {
-      toast('Cannot unfollow: missing source info', 'error', 2500);
-      state.stats.errors++;
-      return;
+  // Sort key that follows flex/grid `order` at every level, for when layout boxes are unavailable
+  function cssOrderPath(node, root, styles) {
+    const path = [];
+    for (let el = node.parentElement, child = node; el && child !== root; child = el, el = el.parentElement) {
+      let cs = styles.get(child);
+      if (!cs && child.nodeType === 1) { cs = getComputedStyle(child); styles.set(child, cs); }
+      const order = child.nodeType === 1 ? parseInt(cs.order, 10) || 0 : 0;
+      path.unshift([order, Array.prototype.indexOf.call(el.childNodes, child)]);
     }
+    return path;
+  }
 
-    // Whitelist check
-    if (state.whitelist.includes(actor.name)) {
-      hidePost(post, `Whitelisted: ${actor.name}`);
-      return;
+  function comparePaths(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      if (a[i][0] !== b[i][0]) return a[i][0] - b[i][0];
+      if (a[i][1] !== b[i][1]) return a[i][1] - b[i][1];
     }
+    return a.length - b.length;
+  }
 
-    // Friend protection
-    if (state.protectFriends && actor.isFriend) {
-      toast(`Protected friend: ${actor.name}`, 'info', 1800);
-      hidePost(post, `Protected Friend: ${actor.name}`);
-      state.stats.protected++;
-      return;
+  // Rebuilds the text of root the way it is displayed: visible characters only, in rendered order
+  function renderedText(root, skip = null) {
+    const styles = new Map();
+    const rootRect = root.getBoundingClientRect();
+    const pieces = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (!node.nodeValue.trim() || (skip && skip.contains(node))) continue;
+      if (!isRenderedVisible(node.parentElement, root, styles)) continue;
+      // Obfuscated labels wrap each character in its own span, so the parent box is the glyph box
+      const rect = node.parentElement.getBoundingClientRect();
+      if (rect.width && rootRect.width) {
+        // Decoys pushed outside the slot box
+        if (rect.right <= rootRect.left || rect.left >= rootRect.right || rect.bottom <= rootRect.top || rect.top >= rootRect.bottom) continue;
+      }
+      pieces.push({ text: node.nodeValue, rect, path: cssOrderPath(node, root, styles) });
     }
+    const laidOut = pieces.length && pieces.every(p => p.rect.width);
+    pieces.sort(laidOut
+      ? (a, b) => (Math.abs(a.rect.top - b.rect.top) > a.rect.height / 2 ? a.rect.top - b.rect.top : a.rect.left - b.rect.left)
+      : (a, b) => comparePaths(a.path, b.path));
+    return pieces.map(p => p.text).join('');
+  }
 
-    // Session dedupe
-    if (state.unfollowedThisSession.has(actor.link)) {
-      hidePost(post, `Already Unfollowed: ${actor.name}`);
-      return;
+  // Block holding the actor heading and the subtitle line (timestamp on organic posts, the label on ads)
+  function headerSlot(post) {
+    const heading = qs('h2, h3, h4', post);
+    if (!heading) return null;
+    const nameLength = (heading.textContent || '').trim().length;
+    // Climb while the extra text stays subtitle-sized; the last such ancestor holds name + subtitle
+    let slot = null;
+    for (let el = heading.parentElement, i = 0; el && i < 6; el = el.parentElement, i++) {
+      const extra = (el.textContent || '').trim().length - nameLength;
+      if (extra > 80) break;
+      if (extra > 0) slot = el;
+      if (el === post) break;
     }
+    return slot ? { heading, slot } : null;
+  }
 
-    // Dry run mode
-    if (state.dryRun) {
-      state.pendingTargets.push({ source: actor, reason, dryRun: true });
-      updateUnfollowCounts();
-      hidePost(post, `Dry-Run: ${actor.name}`);
-      return;
+  function headerHasTimestamp(header) {
+    return qsa('a[href]', header.slot)
+      .some(a => !header.heading.contains(a) && CONFIG.timestampLinkPattern.test(a.getAttribute('href') || ''));
+  }
+
+  function labelMatches(text, labels, exact = false) {
+    const t = normalizeLabel(text);
+    return labels.some(l => (exact ? t === normalizeLabel(l) : t.includes(normalizeLabel(l))));
+  }
+
+  // Returns { sponsored, confidence, signal, signals: [{ id, label, confidence }] }
+  function detectSponsored(post, ctx = null) {
+    const labels = phrases('sponsored');
+    const hits = [];
+    const hit = (id) => hits.push({ id, ...SPONSOR_SIGNALS[id] });
+
+    if (CONFIG.sponsoredLinkSelectors.some(sel => qs(sel, post))) hit('adLink');
+
+    const header = headerSlot(post);
+    if (header) {
+      if (labelMatches(renderedText(header.slot, header.heading), labels)) hit('renderedLabel');
+      if (!headerHasTimestamp(header)) hit('noTimestamp');
     }
 
-    try {
-      // Open menu
-      const menuBtn = anySelector(post, CONFIG.postMenuSelectors);
-      if (!menuBtn) throw new Error('Menu button not found');
-      menuBtn.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window }));
-      await sleep(350);
+    const ariaHit = qsa('[aria-labelledby]', post).some(el =>
+      el.getAttribute('aria-labelledby').split(/\s+/).some(id => {
+        const ref = document.getElementById(id);
+        return ref && labelMatches(ref.textContent, labels, true);
+      }));
+    if (ariaHit) hit('ariaLabel');
 
-      // Find menu items (menu is often portal-mounted under body)
-      const menuItems = qsa('[role="menuitem"], [role="menuitemcheckbox"], [role="menuitemradio"]', document.body);
-      if (!menuItems.length) throw new Error('Menu did not open');
+    const svgRoot = header?.slot || post;
+    const svgText = [
+      ...qsa('svg text', svgRoot).map(t => t.textContent),
+      ...qsa('svg use', svgRoot).map(u => {
+        const ref = (u.getAttribute('href') || u.getAttribute('xlink:href') || '').replace(/^#/, '');
+        return ref ? document.getElementById(ref)?.textContent || '' : '';
+      })
+    ].join('');
+    if (svgText && labelMatches(svgText, labels)) hit('svgLabel');
 
-      const target = menuItems.find(mi => {
-        const t = (mi.innerText || '').toLowerCase();
-        return CONFIG.unfollowMenuPhrases.some(p => t.includes(p));
-      });
-      if (!target) throw new Error('Unfollow/hide-all option not found');
+    const text = ctx ? ctx.text : (post.innerText || '');
+    if (labels.some(l => text.includes(l))) hit('textLabel');
 
-      target.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window }));
-      await sleep(300);
+    if (ctaButtons(post).length) hit('ctaButton');
 
-      // Confirm if needed
-      const buttons = qsa('div[role="dialog"] [role="button"], div[role="dialog"] button, [aria-label]', document.body);
-      const confirm = buttons.find(b => caseIncludes(b.textContent || b.getAttribute('aria-label') || '', 'unfollow')
-                                     || CONFIG.confirmPhrases.some(p => caseIncludes(b.textContent || b.getAttribute('aria-label') || '', p)));
-      if (confirm) {
-        confirm.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window }));
-        await sleep(200);
-      }
+    if (state.adPatterns.length) {
+      const features = adFeatures(post, header, ctx ? ctx.domains : linkDomains(post));
+      if (state.adPatterns.some(p => adPatternMatches(p.features, features))) hit('learned');
+    }
 
-      state.unfollowedThisSession.add(actor.link);
-      state.stats.unfollowed++;
-      state.executedTargets.push({ source: actor, reason, success: true });
-      hidePost(post, `Unfollowed: ${actor.name}`);
-      toast(`Unfollowed ${actor.name}`, 'success', 1400);
-      updateUnfollowCounts();
-    } catch (err) {
-      state.executedTargets.push({ source: actor, reason, success: false, error: String(err) });
-      state.stats.errors++;
-      toast(`Unfollow failed: ${err.message || err}`, 'error', 2200);
-      // Try to close any open dialog
-      const closer = qsa('[aria-label="Close"], [data-testid="x_close_button"], [role="dialog"] [role="button"]', document.body)
-        .find(b => /close/i.test(b.textContent || b.getAttribute('aria-label') || ''));
-      if (closer) closer.click();
+    hits.sort((a, b) => b.confidence - a.confidence);
+    const confidence = Math.min(0.99, 1 - hits.reduce((p, h) => p * (1 - h.confidence), 1));
+    return {
+      sponsored: confidence >= CONFIG.sponsoredMinConfidence,
+      confidence: Math.round(confidence * 100) / 100,
+      signal: hits[0]?.label || '',
+      signals: hits
+    };
+  }
+
+  // Normalized labels of the post's call-to-action buttons. Only adCta phrases count, so the action bar
+  // (Like, Comment, Share) and the actor link never do; comment articles are skipped.
+  function ctaButtons(post) {
+    const cta = phrases('adCta').map(normalizeLabel);
+    return [...new Set(qsa('[role="button"], a[role="link"]', post)
+      .filter(b => {
+        const owner = b.closest(CONFIG.postSelector);
+        return !owner || owner === post || !post.contains(owner);
+      })
+      .map(b => normalizeLabel((b.innerText || b.getAttribute('aria-label') || '').trim().toLowerCase()))
+      .filter(label => cta.includes(label)))];
+  }
+
+  // What "Mark as missed ad" (element picker) stores about a post: the rendered subtitle line next to
+  // the actor name, whether it has a timestamp, aria-labelledby label texts, CTA buttons and link domains.
+  function adFeatures(post, header = headerSlot(post), domains = linkDomains(post)) {
+    const short = (list) => [...new Set(list.map(normalizeLabel).filter(t => t && t.length <= 40))];
+    return {
+      subtitle: header ? normalizeLabel(renderedText(header.slot, header.heading)).slice(0, 60) : '',
+      hasTimestamp: header ? headerHasTimestamp(header) : false,
+      ariaLabels: short(qsa('[aria-labelledby]', post).flatMap(el =>
+        el.getAttribute('aria-labelledby').split(/\s+/).map(id => document.getElementById(id)?.textContent || ''))),
+      buttons: ctaButtons(post),
+      domains: domains.slice(0, 10)
+    };
+  }
+
+  // A learned pattern matches on the same timestamp-less subtitle (a label the phrase lists do not know),
+  // a shared aria label, or a shared outbound domain plus a shared CTA button on a post that, like the
+  // marked ad, has no timestamp. Organic posts linking to the advertiser's site have one.
+  function adPatternMatches(learned, features) {
+    if (learned.subtitle && !learned.hasTimestamp && features.subtitle === learned.subtitle) return true;
+    if (learned.ariaLabels.some(l => features.ariaLabels.includes(l))) return true;
+    return !learned.hasTimestamp && !features.hasTimestamp
+      && learned.domains.some(d => features.domains.includes(d))
+      && learned.buttons.some(b => features.buttons.includes(b));
+  }
+
+  const describeSponsor = (d) => `${Math.round(d.confidence * 100)}% via ${d.signals.map(s => s.label).join(' + ')}`;
+
+  // -----------------------------
+  // FEED UNIT TYPES
+  // -----------------------------
+  // Headings are matched against the start of the unit's text, lowercased, using the
+  // unit* phrase lists of the active locale.
+  function unitHeadMatches(ctx, key, chars = 160) {
+    const head = ctx.text.slice(0, chars).toLowerCase();
+    return phrases(key).some(p => head.includes(p));
+  }
+
+  // Activity and life-event phrases only count in the actor line: a post body saying "moved to Berlin"
+  // is an ordinary post. The line is the header slot (see headerSlot), but never the whole unit or
+  // anything holding the message, which a short post would otherwise pull in.
+  function unitHeaderMatches(unit, key) {
+    const heading = qs('h2, h3, h4', unit);
+    if (!heading) return false;
+    const message = anySelector(unit, CONFIG.messageSelectors);
+    const nameLength = (heading.textContent || '').trim().length;
+    let line = heading;
+    for (let el = heading.parentElement; el && el !== unit && !el.contains(message); el = el.parentElement) {
+      if ((el.textContent || '').trim().length - nameLength > 80) break;
+      // Post text blocks are dir="auto" outside the heading, also when no message selector matches
+      if (qsa('[dir="auto"]', el).some(d => !heading.contains(d))) break;
+      line = el;
     }
+    const text = (line.innerText || '').toLowerCase();
+    return phrases(key).some(p => text.includes(p));
   }
 
-  async function processPost(post) {
-    if (!markProcessed(post)) return;
+  // Buttons of nested articles (comments) are not the unit's own
+  function countLabeled(unit, list) {
+    return qsa('[role="button"], a[role="link"]', unit)
+      .filter(b => {
+        const owner = b.closest(CONFIG.postSelector);
+        return !owner || owner === unit || !unit.contains(owner);
+      })
+      .filter(b => list.includes((b.innerText || b.getAttribute('aria-label') || '').trim().toLowerCase())).length;
+  }
 
-    if (state.highlightPosts) {
-      post.style.outline = '2px solid #6aa2ff';
-      setTimeout(() => { post.style.outline = ''; }, 1000);
+  const FEED_UNITS = {
+    reels: {
+      label: 'Reels & short videos',
+      detect: (unit, ctx) => !!qs('a[href*="/reel/"], a[href*="/reels/"]', unit) || unitHeadMatches(ctx, 'unitReels', 40)
+    },
+    stories: {
+      label: 'Stories tray',
+      detect: (unit, ctx) => unit.matches('[data-pagelet="Stories"], [aria-label="Stories"]')
+        || qsa('a[href*="/stories/"]', unit).length >= 2 || unitHeadMatches(ctx, 'unitStories', 40)
+    },
+    pymk: {
+      label: 'People You May Know',
+      detect: (unit, ctx) => !!qs('a[href*="/friends/suggestions"]', unit) || unitHeadMatches(ctx, 'unitPymk')
+    },
+    groups: {
+      label: 'Groups you might like',
+      detect: (unit, ctx) => !!qs('a[href*="/groups/discover"]', unit) || unitHeadMatches(ctx, 'unitGroups')
+    },
+    follow: {
+      label: 'Follow suggestions',
+      detect: (unit, ctx) => unitHeadMatches(ctx, 'unitFollow') || countLabeled(unit, phrases('unitFollowButton')) >= 2
+    },
+    memories: {
+      label: 'Memories',
+      detect: (unit, ctx) => !!qs('a[href*="/memories"], a[href*="/onthisday"]', unit) || unitHeadMatches(ctx, 'unitMemories', 80)
+    },
+    activity: {
+      label: 'Friend activity (commented / reacted)',
+      detect: (unit) => unitHeaderMatches(unit, 'unitActivity')
+    },
+    lifeEvents: {
+      label: 'Life events',
+      detect: (unit, ctx) => !!qs('a[href*="life_event"], a[href*="lifeevent"]', unit) || unitHeaderMatches(unit, 'unitLifeEvents')
     }
+  };
 
-    const reason = classify(post);
-    const actor = findActor(post);
+  function detectUnitType(unit, ctx = postContext(unit)) {
+    for (const [id, type] of Object.entries(FEED_UNITS)) {
+      if (type.detect(unit, ctx)) return id;
+    }
+    return null;
+  }
 
-    logPost(post, reason, actor);
-    state.stats.processed++;
+  const unitLabel = (id) => FEED_UNITS[id]?.label || 'Post';
 
-    if (!reason) return;
+  // Comments are articles too; only the outermost article is a post
+  const isTopLevelPost = (el) => !el.parentElement?.closest(CONFIG.postSelector);
 
-    if (state.autoUnfollow) {
-      await unfollowSourceOfPost(post, reason, actor);
-    } else {
-      hidePost(post, `Hiding: ${reason}`);
-    }
+  // The outermost post containing node, or null
+  function topLevelPost(node) {
+    let post = node.closest(CONFIG.postSelector);
+    while (post && !isTopLevelPost(post)) post = post.parentElement.closest(CONFIG.postSelector);
+    return post;
+  }
 
-    updateStats();
+  // Top-level articles in one feed child, or the child itself when it looks like a known unit type
+  function feedChildUnits(child) {
+    if (child.matches('.ffcp-placeholder')) return [];
+    if (child.matches(CONFIG.postSelector)) return [child];
+    const posts = qsa(CONFIG.postSelector, child).filter(isTopLevelPost);
+    if (posts.length) return posts;
+    return detectUnitType(child) ? [child] : [];
   }
 
-  // -----------------------------
-  // FEED SCANNING
-  // -----------------------------
-  async function scanFeed() {
-    const feeds = qsa(CONFIG.feedSelector);
-    if (!feeds.length) return;
-    for (const feed of feeds) {
-      const posts = qsa(CONFIG.postSelector, feed);
-      for (const post of posts) {
-        await processPost(post);
-      }
+  // Articles plus non-article feed children / trays that look like a known unit type
+  function feedUnits() {
+    const units = qsa(CONFIG.feedSelector).flatMap(feed => [...feed.children].flatMap(feedChildUnits));
+    for (const sel of CONFIG.unitSelectors) {
+      for (const el of qsa(sel)) if (!units.includes(el) && !el.closest(CONFIG.postSelector)) units.push(el);
     }
+    return units;
   }
 
   // -----------------------------
-  // LOGGING & EXPORT
+  // KEYWORD SYNTAX
   // -----------------------------
-  function logPost(post, reason, actor) {
-    if (!state.logPosts) return;
-    const entry = {
-      ts: new Date().toISOString(),
-      reason: reason || 'Scanned',
-      actorName: actor?.name || 'Unknown',
-      actorLink: actor?.link || 'Unknown',
-      friend: !!actor?.isFriend,
-      excerpt: clip(post.innerText, 220)
-    };
-    state.loggedPostsData.unshift(entry);
-    if (state.loggedPostsData.length > 300) state.loggedPostsData.pop();
-    updateLogPanel();
+  //   giveaway          whole word (case-insensitive); win* allows a wildcard suffix/infix
+  //   "win a free"      phrase, whole words, any whitespace between them
+  //   /free\s+iphone/i  regular expression with optional flags
+  //   -term             exclusion: a post matching it never counts as a keyword match
+  //   body: name: all:  scope prefix (post body only, actor name only, whole post incl. comments; default all)
+  const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+  function escapeRegex(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
   }
 
-  async function copyJSON(data, label = 'data') {
-    const text = JSON.stringify(data, null, 2);
-    try {
-      if (navigator.clipboard?.writeText) {
-        await navigator.clipboard.writeText(text);
+  function wordPattern(text) {
+    const body = text.trim().split(/\s+/)
+      .map(w => escapeRegex(w).replace(/\\\*/g, `${WORD_CHAR}*`))
+      .join('\\s+');
+    return new RegExp(`(?<!${WORD_CHAR})${body}(?!${WORD_CHAR})`, 'iu');
+  }
+
+  // Parses the keyword textarea into terms; never throws, problems are collected in errors and an
+  // unclosed quote or /regex/ ends at the next comma, so the terms after it still parse.
+  // entries is the raw text of every term, invalid ones included, so a typo is kept for the user to fix.
+  function parseKeywords(input) {
+    const terms = [];
+    const errors = [];
+    const entries = [];
+    const src = input || '';
+    let i = 0;
+    const nextComma = (from) => (src.indexOf(',', from) < 0 ? src.length : src.indexOf(',', from));
+    while (i < src.length) {
+      while (i < src.length && /[\s,]/.test(src[i])) i++;
+      if (i >= src.length) break;
+      const start = i;
+      const exclude = src[i] === '-';
+      if (exclude) i++;
+      let scope = 'all';
+      const scopeMatch = /^(body|name|all):/i.exec(src.slice(i));
+      if (scopeMatch) { scope = scopeMatch[1].toLowerCase(); i += scopeMatch[0].length; }
+
+      let kind = 'word';
+      let re = null;
+      let error = null;
+      if (src[i] === '"') {
+        kind = 'phrase';
+        const end = src.indexOf('"', i + 1);
+        if (end < 0) { error = 'unclosed quote'; i = nextComma(i); }
+        else {
+          const phrase = src.slice(i + 1, end);
+          if (!phrase.trim()) error = 'empty phrase';
+          else re = wordPattern(phrase);
+          i = end + 1;
+        }
+      } else if (src[i] === '/') {
+        kind = 'regex';
+        let j = i + 1;
+        while (j < src.length && src[j] !== '/') j += src[j] === '\\' ? 2 : 1;
+        if (j >= src.length) { error = 'unclosed /regex/'; i = nextComma(i); }
+        else {
+          const flagsMatch = /^[a-z]*/i.exec(src.slice(j + 1));
+          const flags = flagsMatch[0];
+          try { re = new RegExp(src.slice(i + 1, j), flags.replace(/[gy]/g, '')); }
+          catch (err) { error = err.message; }
+          i = j + 1 + flags.length;
+        }
       } else {
-        const ta = document.createElement('textarea');
-        ta.value = text;
-        document.body.appendChild(ta);
-        ta.select();
-        document.execCommand('copy');
-        ta.remove();
+        while (i < src.length && src[i] !== ',') i++;
+        const word = src.slice(start, i).replace(/^-?((body|name|all):)?/i, '');
+        if (!word.trim()) error = 'empty term';
+        else re = wordPattern(word);
       }
-      toast(`${label} copied to clipboard`, 'success', 1200);
-    } catch {
-      toast(`Failed to copy ${label}`, 'error', 1600);
+
+      // Anything between the term and the next comma is a syntax error (e.g. "a"b)
+      const tailStart = i;
+      while (i < src.length && src[i] !== ',') i++;
+      const raw = src.slice(start, i).trim();
+      if (!error && src.slice(tailStart, i).trim()) error = 'unexpected text after term';
+
+      entries.push(raw);
+      if (error) errors.push(`${raw}: ${error}`);
+      else terms.push({ raw, scope, exclude, kind, re });
     }
+    return { terms, errors, entries };
   }
 
-  function exportJSON(data, filename = 'ffcp-export.json') {
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    a.click();
-    URL.revokeObjectURL(url);
-    toast(`Exported ${filename}`, 'success', 1200);
+  let keywordCache = { key: null, terms: [] };
+  function compiledKeywords() {
+    const list = setting('keywordList');
+    const key = list.join(', ');
+    // Parsed one by one so an invalid entry (e.g. an unclosed quote) cannot swallow the ones after it
+    if (keywordCache.key !== key) keywordCache = { key, terms: list.flatMap(k => parseKeywords(k).terms) };
+    return keywordCache.terms;
   }
 
   // -----------------------------
-  // ELEMENT PICKER (fixed bindings)
+  // RULE ENGINE
   // -----------------------------
-  const ElementPicker = {
-    overlay: null,
-    _onMouseOver: null,
-    _onClick: null,
+  const RULE_FIELDS = {
+    text: { label: 'Post text', ops: ['contains', 'equals', 'matches'] },
+    actorName: { label: 'Actor name', ops: ['contains', 'equals', 'matches'] },
+    actorLink: { label: 'Actor link', ops: ['contains', 'equals', 'matches'] },
+    source: { label: 'Source (normalized actor link)', ops: ['is'] },
+    actorType: { label: 'Actor type', ops: ['is'], values: ['person', 'page', 'group', 'other'] },
+    category: { label: 'Category', ops: ['is'], values: ['Sponsored', 'Suggested', 'Keyword', 'Domain', 'Learned', 'Duplicate'] },
+    unitType: { label: 'Feed unit type', ops: ['is'], values: ['post', 'reels', 'stories', 'pymk', 'groups', 'follow', 'memories', 'activity', 'lifeEvents'] },
+    domain: { label: 'Link domain', ops: ['contains', 'equals', 'matches'] }
+  };
 
-    init() {
-      if (this.overlay) return;
-      this.overlay = document.createElement('div');
-      this.overlay.id = 'ffcp-picker-overlay';
-      document.body.appendChild(this.overlay);
-    },
-    start() {
-      this.init();
-      state.elementPickerActive = true;
-      updateUIVisibility();
-      toast('Element Picker active: hover and click a post', 'info', 4000);
-      this.overlay.style.display = 'block';
+  // Built-in reasons that get a hide-mode selector; rules carry their own hideMode
+  const HIDE_MODE_REASONS = () => ['Sponsored', 'Suggested', 'Keyword Match', 'Blocked Domain', 'Learned Filter', 'Duplicate', ...Object.values(FEED_UNITS).map(u => u.label)];
 
-      // bind once and reuse for removal
-      this._onMouseOver = this._onMouseOver || this.handleMouseOver.bind(this);
-      this._onClick = this._onClick || this.handleClick.bind(this);
+  const RULE_ACTIONS = {
+    hide: 'Hide',
+    collapse: 'Collapse',
+    highlight: 'Highlight only',
+    unfollow: 'Queue for unfollow',
+    log: 'Log only'
+  };
 
-      document.addEventListener('mouseover', this._onMouseOver);
-      document.addEventListener('click', this._onClick, true);
-    },
-    stop() {
-      state.elementPickerActive = false;
-      updateUIVisibility();
-      if (this.overlay) this.overlay.style.display = 'none';
-      if (this._onMouseOver) document.removeEventListener('mouseover', this._onMouseOver);
-      if (this._onClick) document.removeEventListener('click', this._onClick, true);
-    },
-    handleMouseOver(e) {
-      const rect = e.target.getBoundingClientRect();
-      Object.assign(this.overlay.style, {
-        top: `${rect.top + window.scrollY}px`,
-        left: `${rect.left + window.scrollX}px`,
-        width: `${rect.width}px`,
+  // Display name of a match action: the rule actions plus auto-unfollow, which only built-in matches produce
+  const actionLabel = (action) => (action === 'auto-unfollow' ? 'Auto-unfollow' : RULE_ACTIONS[action] || action);
+
+  const CATEGORY_TESTS = {
+    Sponsored: (post, ctx) => ctx.sponsor.sponsored,
+    Suggested: isSuggested,
+    Keyword: (post, ctx) => !!ctx.keyword,
+    Domain: (post, ctx) => !!ctx.blockedDomain,
+    Learned: (post, ctx) => ctx.learnedScore !== null && ctx.learnedScore * 100 >= state.learnedThreshold,
+    Duplicate: (post, ctx) => !!ctx.duplicate
+  };
+
+  // Per-post lookups are computed on first use so a rule that only checks text never pays for actor/domain parsing
+  function postContext(post) {
+    const memo = {};
+    const once = (key, fn) => (key in memo ? memo[key] : (memo[key] = fn()));
+    return {
+      post,
+      get text() { return once('text', () => post.innerText || ''); },
+      get bodyText() { return once('bodyText', () => bodyText(post)); },
+      get actor() { return once('actor', () => findActor(post, this.text)); },
+      get sponsor() { return once('sponsor', () => detectSponsored(post, this)); },
+      get unitType() { return once('unitType', () => detectUnitType(post, this)); },
+      get keyword() { return once('keyword', () => matchesKeywords(post, this)); },
+      get domains() { return once('domains', () => linkDomains(post)); },
+      get blockedDomain() { return once('blockedDomain', () => blockedDomain(this.domains)); },
+      get learnedScore() { return once('learnedScore', () => Classifier.score(this.bodyText)); },
+      get fingerprint() { return once('fingerprint', () => postFingerprint(this)); },
+      get duplicate() { return once('duplicate', () => SeenPosts.match(post, this.fingerprint)); },
+      hasCategory(name) { return once(`cat:${name}`, () => !!CATEGORY_TESTS[name]?.(post, this)); }
+    };
+  }
+
+  function conditionValues(field, ctx) {
+    switch (field) {
+      case 'text': return [ctx.text];
+      case 'actorName': return [ctx.actor?.name || ''];
+      case 'actorLink': return [ctx.actor?.link || ''];
+      case 'source': return [ctx.actor?.link ? sourceKey(ctx.actor.link) : ''];
+      case 'actorType': return [ctx.actor?.type || 'other'];
+      case 'category': return Object.keys(CATEGORY_TESTS).filter(c => ctx.hasCategory(c));
+      case 'unitType': return [ctx.unitType || 'post'];
+      case 'domain': return ctx.domains;
+      default: return [];
+    }
+  }
+
+  const regexCache = new Map();
+  function compileRegex(source) {
+    if (!regexCache.has(source)) {
+      let re = null;
+      try { re = new RegExp(source, 'i'); } catch {}
+      regexCache.set(source, re);
+    }
+    return regexCache.get(source);
+  }
+
+  function compareValue(op, actual, expected) {
+    const a = (actual || '').toLowerCase();
+    const b = (expected || '').toLowerCase();
+    switch (op) {
+      case 'contains': return !!b && a.includes(b);
+      case 'equals':
+      case 'is': return a === b;
+      case 'matches': return !!compileRegex(expected)?.test(actual || '');
+      default: return false;
+    }
+  }
+
+  function conditionMatches(cond, ctx) {
+    const hit = conditionValues(cond.field, ctx).some(v => compareValue(cond.op, v, cond.value));
+    return cond.not ? !hit : hit;
+  }
+
+  function ruleMatches(rule, ctx) {
+    const conds = rule.conditions || [];
+    if (!conds.length) return false;
+    return rule.match === 'any'
+      ? conds.some(c => conditionMatches(c, ctx))
+      : conds.every(c => conditionMatches(c, ctx));
+  }
+
+  function newRule() {
+    return {
+      id: `r${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: 'New rule',
+      enabled: true,
+      match: 'all',
+      conditions: [{ field: 'text', op: 'contains', value: '', not: false }],
+      action: 'hide',
+      hideMode: 'placeholder'
+    };
+  }
+
+  function describeRule(rule) {
+    const joiner = rule.match === 'any' ? ' OR ' : ' AND ';
+    const parts = (rule.conditions || []).map(c =>
+      `${c.not ? 'NOT ' : ''}${RULE_FIELDS[c.field]?.label || c.field} ${c.op} "${c.value}"`);
+    return `${parts.join(joiner) || '(no conditions)'} → ${actionLabel(rule.action)}`;
+  }
+
+  // -----------------------------
+  // LEARNED FILTER
+  // -----------------------------
+  // Naive Bayes over the words and word pairs of a post's body, trained only from explicit "hide this" /
+  // "keep this" feedback (element picker, placeholder bars). Each post counts a token once. The model
+  // lives in GM storage: { version, docs: { hide, keep }, totals: { hide, keep }, terms: { token: [hide, keep] },
+  // seen: { textHash: label } }; seen lets a post trained with the wrong label be moved instead of counted twice.
+  const CLASSIFIER_LABELS = ['hide', 'keep'];
+  const emptyModel = () => ({ version: 1, docs: { hide: 0, keep: 0 }, totals: { hide: 0, keep: 0 }, terms: {}, seen: {} });
+
+  function classifierTokens(text) {
+    const words = (text || '').toLowerCase()
+      .replace(/https?:\/\/\S+/g, ' ')
+      .match(/[\p{L}\p{N}][\p{L}\p{N}'’]*/gu) || [];
+    const kept = words.filter(w => w.length > 1 || /[^\x00-\x7f]/.test(w)).slice(0, CONFIG.classifierWordsMax);
+    const tokens = new Set(kept);
+    for (let i = 1; i < kept.length; i++) tokens.add(`${kept[i - 1]} ${kept[i]}`);
+    return [...tokens];
+  }
+
+  // Hash of the whitespace-normalised text, prefixed so a key never looks like an array index
+  // (objects keep those in numeric order, which would break the oldest-first pruning of seen)
+  const textHash = (text) => `t${fnv1a(text.replace(/\s+/g, ' ').trim()).toString(36)}`;
+
+  const Classifier = {
+    model: emptyModel(),
+    vocab: 0,   // number of terms in the model, kept up to date by count() and prune()
+
+    load() {
+      const stored = loadJSON(CONFIG.classifierKey, null);
+      this.model = stored?.version === 1 ? { ...emptyModel(), ...stored } : emptyModel();
+      this.vocab = Object.keys(this.model.terms).length;
+    },
+
+    save() {
+      saveJSON(CONFIG.classifierKey, this.model);
+    },
+
+    // Both labels need CONFIG.classifierMinDocs examples before any post is scored
+    ready() {
+      return CLASSIFIER_LABELS.every(l => this.model.docs[l] >= CONFIG.classifierMinDocs);
+    },
+
+    count(tokens, label, delta) {
+      const i = CLASSIFIER_LABELS.indexOf(label);
+      const { terms } = this.model;
+      for (const t of tokens) {
+        if (!terms[t]) { terms[t] = [0, 0]; this.vocab++; }
+        const c = terms[t];
+        c[i] = Math.max(0, c[i] + delta);
+        if (!c[0] && !c[1]) { delete terms[t]; this.vocab--; }
+      }
+      this.model.docs[label] = Math.max(0, this.model.docs[label] + delta);
+      this.model.totals[label] = Math.max(0, this.model.totals[label] + delta * tokens.length);
+    },
+
+    // Returns 'added', 'moved' (was trained with the other label), 'same' or 'empty'
+    train(text, label) {
+      const tokens = classifierTokens(text);
+      if (!tokens.length) return 'empty';
+      // Another tab may have trained since this one loaded the model; its examples are kept
+      this.load();
+      const key = textHash(text);
+      const previous = this.model.seen[key];
+      if (previous === label) return 'same';
+      if (previous) this.count(tokens, previous, -1);
+      this.count(tokens, label, 1);
+      delete this.model.seen[key];
+      this.model.seen[key] = label;
+      this.prune();
+      this.save();
+      return previous ? 'moved' : 'added';
+    },
+
+    // Drops the rarest terms over CONFIG.classifierTermsMax and the oldest seen hashes over classifierSeenMax
+    prune() {
+      const entries = Object.entries(this.model.terms);
+      if (entries.length > CONFIG.classifierTermsMax) {
+        entries.sort((a, b) => (b[1][0] + b[1][1]) - (a[1][0] + a[1][1]));
+        this.model.terms = Object.fromEntries(entries.slice(0, Math.floor(CONFIG.classifierTermsMax * 0.9)));
+        this.vocab = Object.keys(this.model.terms).length;
+        this.model.totals = { hide: 0, keep: 0 };
+        for (const [h, k] of Object.values(this.model.terms)) { this.model.totals.hide += h; this.model.totals.keep += k; }
+      }
+      const seen = Object.keys(this.model.seen);
+      for (const key of seen.slice(0, Math.max(0, seen.length - CONFIG.classifierSeenMax))) delete this.model.seen[key];
+    },
+
+    // Laplace-smoothed log likelihood ratio of a token, hide over keep
+    weight(counts, vocab) {
+      const { totals } = this.model;
+      return Math.log((counts[0] + 1) / (totals.hide + vocab)) - Math.log((counts[1] + 1) / (totals.keep + vocab));
+    },
+
+    // Probability (0..1) that the text is something the user hides, or null while the model is not ready.
+    // Tokens the model has never seen carry no evidence either way.
+    score(text) {
+      if (!this.ready()) return null;
+      const { docs, terms } = this.model;
+      const { vocab } = this;
+      let logOdds = Math.log(docs.hide / docs.keep);
+      for (const t of classifierTokens(text)) {
+        if (terms[t]) logOdds += this.weight(terms[t], vocab);
+      }
+      return 1 / (1 + Math.exp(-logOdds));
+    },
+
+    // Terms seen at least twice, strongest first: [{ term, weight, hide, keep }]
+    topTerms(label, n = 15) {
+      const { terms } = this.model;
+      const { vocab } = this;
+      const sign = label === 'hide' ? 1 : -1;
+      return Object.entries(terms)
+        .filter(([, c]) => c[0] + c[1] >= 2)
+        .map(([term, c]) => ({ term, weight: this.weight(c, vocab), hide: c[0], keep: c[1] }))
+        .filter(t => t.weight * sign > 0)
+        .sort((a, b) => (b.weight - a.weight) * sign)
+        .slice(0, n);
+    },
+
+    reset() {
+      this.model = emptyModel();
+      this.vocab = 0;
+      this.save();
+    }
+  };
+
+  // Feedback from the picker and placeholder bars; label is 'hide' or 'keep'
+  function trainFromPost(post, label) {
+    const result = Classifier.train(bodyText(post), label);
+    if (result === 'empty') { toast('No text in this post to learn from', 'error', 1800); return false; }
+    renderClassifier();
+    if (result === 'same') { toast(`Already learned as ${label}`, 'info', 1400); return true; }
+    const matched = Classifier.ready() ? reclassifyFeed() : 0;
+    const { docs } = Classifier.model;
+    const progress = Classifier.ready() ? '' : ` · ${docs.hide}/${CONFIG.classifierMinDocs} hide, ${docs.keep}/${CONFIG.classifierMinDocs} keep examples before scoring starts`;
+    toast(`Learned as ${label}${result === 'moved' ? ' (label changed)' : ''}${matched ? ` (${matched} post${matched === 1 ? '' : 's'} in the feed)` : ''}${progress}`, 'success', 2200);
+    return true;
+  }
+
+  // -----------------------------
+  // DUPLICATES
+  // -----------------------------
+  // A post's fingerprint is a MinHash signature over word shingles of its body, its canonical outbound
+  // URL and the file name of its first content image. Fingerprints of recent posts survive reloads as
+  // { ts, name, excerpt, sig, url, media, seen }; a later post sharing the URL or image, or whose
+  // estimated text similarity reaches duplicateThreshold, is a duplicate of the closest one.
+  const SIG_SEEDS = Array.from({ length: CONFIG.duplicateSigSize }, (_, i) => Math.imul(i + 1, 0x9e3779b1) >>> 0);
+
+  // murmur3 finalizer: one hash function per seed from a single shingle hash
+  function mix32(h) {
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+  }
+
+  // Base36 minimum per seed, or null for texts too short to compare
+  function textSignature(text) {
+    const words = (text || '').toLowerCase().replace(/https?:\/\/\S+/g, ' ').match(/[\p{L}\p{N}]+/gu) || [];
+    if (words.length < CONFIG.duplicateMinWords) return null;
+    const mins = SIG_SEEDS.map(() => 0xffffffff);
+    for (let i = 0; i + CONFIG.duplicateShingle <= words.length; i++) {
+      const h = fnv1a(words.slice(i, i + CONFIG.duplicateShingle).join(' '));
+      SIG_SEEDS.forEach((seed, j) => { mins[j] = Math.min(mins[j], mix32(h ^ seed)); });
+    }
+    return mins.map(v => v.toString(36));
+  }
+
+  // File name of the first Facebook CDN image that belongs to this post (not a nested comment);
+  // the query string carries sizes and signatures that differ between renderings
+  function mediaKey(post) {
+    for (const img of qsa('img[src]', post)) {
+      const nested = img.closest(CONFIG.postSelector);
+      if (nested && nested !== post) continue;
+      try {
+        const u = new URL(img.src);
+        if (!/(^|\.)fbcdn\.net$/.test(u.hostname) || /emoji|rsrc\.php/.test(u.pathname)) continue;
+        return u.pathname.split('/').pop() || null;
+      } catch {}
+    }
+    return null;
+  }
+
+  function postFingerprint(ctx) {
+    const sig = textSignature(ctx.bodyText);
+    const url = qsa('a[href]', ctx.post).map(a => outboundUrl(a.href)).find(Boolean) || null;
+    const media = mediaKey(ctx.post);
+    return sig || url || media ? { sig, url, media } : null;
+  }
+
+  function describeDuplicate({ entry, similarity, via }) {
+    const how = via === 'text' ? `${Math.round(similarity * 100)}% similar text` : `same ${via === 'link' ? 'link' : 'image'}`;
+    return `${how}, first seen ${new Date(entry.ts).toLocaleString()}, ${entry.seen || 1}× so far`;
+  }
+
+  const SeenPosts = {
+    entries: [],
+    saveTimer: null,
+    // Post element -> the entry it added, so reclassifying a post never matches its own fingerprint
+    recorded: new WeakMap(),
+
+    load() {
+      this.entries = loadJSON(CONFIG.seenKey, []).map(e => ({ ...e, sig: e.sig ? e.sig.split('.') : null }));
+      this.prune();
+      window.addEventListener('pagehide', () => { if (this.saveTimer) this.save(); });
+    },
+
+    save() {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.prune();
+      saveJSON(CONFIG.seenKey, this.entries.map(e => ({ ...e, sig: e.sig ? e.sig.join('.') : null })));
+      renderSeenStatus();
+    },
+
+    prune() {
+      const cutoff = Date.now() - state.duplicateWindowHours * 3600000;
+      this.entries = this.entries.filter(e => e.ts >= cutoff).slice(-CONFIG.seenMax);
+    },
+
+    // Returns { entry, similarity, via: 'link' | 'media' | 'text' } for the closest earlier post, or null
+    match(post, fp) {
+      if (!fp) return null;
+      const own = this.recorded.get(post);
+      const cutoff = Date.now() - state.duplicateWindowHours * 3600000;
+      const threshold = state.duplicateThreshold / 100;
+      let best = null;
+      for (const entry of this.entries) {
+        if (entry === own || entry.ts < cutoff) continue;
+        if (fp.url && entry.url === fp.url) return { entry, similarity: 1, via: 'link' };
+        if (fp.media && entry.media === fp.media) return { entry, similarity: 1, via: 'media' };
+        if (!fp.sig || !entry.sig) continue;
+        const same = fp.sig.reduce((n, v, i) => n + (v === entry.sig[i]), 0);
+        const similarity = same / fp.sig.length;
+        if (similarity >= threshold && similarity > (best?.similarity || 0)) best = { entry, similarity, via: 'text' };
+      }
+      return best;
+    },
+
+    // Fingerprints are only collected while something uses them: the built-in category or a rule
+    tracking() {
+      return setting('hideDuplicates') || state.rules.some(r => r.enabled
+        && r.conditions.some(c => c.field === 'category' && c.value === 'Duplicate'));
+    },
+
+    // Called once per processed post: a duplicate bumps the entry it matched, anything else is remembered
+    record(ctx) {
+      if (!this.tracking() || this.recorded.has(ctx.post)) return;
+      const fp = ctx.fingerprint;
+      if (!fp) return;
+      const dup = ctx.duplicate;
+      if (dup) {
+        dup.entry.seen = (dup.entry.seen || 1) + 1;
+        this.recorded.set(ctx.post, null);
+      } else {
+        const entry = { ts: Date.now(), name: ctx.actor?.name || '', excerpt: clip(ctx.bodyText, 80), ...fp, seen: 1 };
+        this.entries.push(entry);
+        this.recorded.set(ctx.post, entry);
+      }
+      if (!this.saveTimer) this.saveTimer = setTimeout(() => this.save(), CONFIG.dailyStatsSaveMs);
+    },
+
+    clear() {
+      this.entries = [];
+      this.recorded = new WeakMap();
+      this.save();
+    }
+  };
+
+  // -----------------------------
+  // ACTIONS
+  // -----------------------------
+  // matchReason is the classify() reason ("Sponsored", "Rule: X", ...) and selects the hide mode;
+  // reason is the label stored on the post and shown in its placeholder.
+  function hidePost(post, reason, matchReason = reason) {
+    if (state.highlightPosts) post.style.outline = '2px solid #fd7e14';
+    post.style.transition = 'opacity .25s ease';
+    post.style.opacity = '0';
+    // Skipped if "Show once" or "Keep posts like this" revealed the post during the fade
+    setTimeout(() => { if (post.hasAttribute('data-ffcp-hidden-reason')) post.style.display = 'none'; }, 250);
+    post.setAttribute('data-ffcp-hidden-reason', reason);
+    if (hideModeFor(matchReason) !== 'full') insertPlaceholder(post);
+    countStat('hidden', { reason: matchReason, actor: findActor(post) });
+  }
+
+  function hideModeFor(matchReason) {
+    if (matchReason.startsWith('Rule: ')) {
+      return state.rules.find(r => `Rule: ${r.name}` === matchReason)?.hideMode || 'placeholder';
+    }
+    return state.hideModes[matchReason] || 'placeholder';
+  }
+
+  function insertPlaceholder(post) {
+    if (post.previousElementSibling?.matches('.ffcp-placeholder')) return;
+    const actor = findActor(post);
+    const bar = document.createElement('div');
+    bar.className = 'ffcp-placeholder';
+    bar.innerHTML = `
+      <span class="ffcp-placeholder-text">
+        <strong>${escapeHtml(post.getAttribute('data-ffcp-hidden-reason'))}</strong>${actor?.name ? ` — ${escapeHtml(actor.name)}` : ''}
+      </span>
+      <button data-ph="show">Show once</button>
+      ${actor?.name && actor.link ? '<button data-ph="allow">Always allow this source</button>' : ''}
+      <button data-ph="why">Why?</button>
+      <button data-ph="train-hide" title="Teach the learned filter">Hide more like this</button>
+      <button data-ph="train-keep" title="Teach the learned filter and show this post">Keep posts like this</button>
+    `;
+    bar.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-ph]')?.dataset.ph;
+      if (!action) return;
+      e.preventDefault();
+      e.stopPropagation();
+      if (action === 'show') revealPost(post);
+      if (action === 'allow') allowSource(actor);
+      if (action === 'why') ElementPicker.analyze(post);
+      if (action === 'train-hide') trainFromPost(post, 'hide');
+      // Trained before the reveal, so the feed pass that follows a new example skips this post
+      if (action === 'train-keep' && trainFromPost(post, 'keep')) revealPost(post);
+    });
+    post.before(bar);
+  }
+
+  function revealPost(post) {
+    if (post.previousElementSibling?.matches('.ffcp-placeholder')) post.previousElementSibling.remove();
+    post.removeAttribute('data-ffcp-hidden-reason');
+    Object.assign(post.style, { display: '', opacity: '', outline: '' });
+  }
+
+  function allowSource(actor) {
+    whitelistSource(actor);
+    for (const post of qsa('[data-ffcp-hidden-reason]')) {
+      if (whitelistMatch(findActor(post), linkDomains(post))) revealPost(post);
+    }
+    toast(`Always allowing ${actor.name}`, 'success', 1400);
+  }
+
+  function collapsePost(post, reason) {
+    post.setAttribute('data-ffcp-collapsed', reason);
+    post.title = `${reason} (click to expand)`;
+    Object.assign(post.style, { maxHeight: '64px', overflow: 'hidden', opacity: '.55', cursor: 'pointer' });
+    const expand = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      post.removeAttribute('data-ffcp-collapsed');
+      post.removeAttribute('title');
+      Object.assign(post.style, { maxHeight: '', overflow: '', opacity: '', cursor: '' });
+    };
+    post.addEventListener('click', expand, { capture: true, once: true });
+    countStat('hidden', { reason, actor: findActor(post) });
+  }
+
+  function highlightPost(post, reason) {
+    post.setAttribute('data-ffcp-flagged', reason);
+    post.style.outline = '2px solid #f7b955';
+  }
+
+  // queueOnly: always add to pendingTargets (rule action "Queue for unfollow"), regardless of Dry Run
+  async function unfollowSourceOfPost(post, reason, actor, { queueOnly = false } = {}) {
+    if (!actor || !actor.link || !actor.name) {
+      toast('Cannot unfollow: missing source info', 'error', 2500);
+      countStat('errors');
+      return;
+    }
+
+    // Whitelist check
+    const allowed = whitelistMatch(actor, linkDomains(post));
+    if (allowed) {
+      hidePost(post, `Whitelisted: ${allowed.label}`, reason);
+      return;
+    }
+
+    // Friend protection
+    if (state.protectFriends && actor.isFriend) {
+      toast(`Protected friend: ${actor.name} (${actor.friendSource})`, 'info', 1800);
+      hidePost(post, `Protected Friend: ${actor.name}`, reason);
+      countStat('protected');
+      return;
+    }
+
+    // Session + ledger dedupe
+    if (state.unfollowedThisSession.has(actor.link) || ledgerHasUnfollowed(actor.link)) {
+      hidePost(post, `Already Unfollowed: ${actor.name}`, reason);
+      return;
+    }
+
+    // Dry run mode
+    if (state.dryRun || queueOnly) {
+      addPendingTarget(actor, reason, clip(post.innerText, 160));
+      updateUnfollowCounts();
+      hidePost(post, `${queueOnly ? 'Queued' : 'Dry-Run'}: ${actor.name}`, reason);
+      return;
+    }
+
+    // Safety governor: over a rate limit or cooling down after errors, queue instead of acting
+    const blocked = Governor.check();
+    if (blocked) {
+      addPendingTarget(actor, reason, clip(post.innerText, 160));
+      updateUnfollowCounts();
+      Governor.notifyBlocked(blocked);
+      hidePost(post, `Rate-Limited: ${actor.name}`, reason);
+      return;
+    }
+    Governor.recordAttempt();
+
+    try {
+      // Open menu
+      const menuBtn = anySelector(post, CONFIG.postMenuSelectors);
+      if (!menuBtn) throw new Error('Menu button not found');
+      menuBtn.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window }));
+      await humanDelay(350);
+
+      // Find menu items (menu is often portal-mounted under body)
+      const menuItems = qsa('[role="menuitem"], [role="menuitemcheckbox"], [role="menuitemradio"]', document.body);
+      if (!menuItems.length) throw new Error('Menu did not open');
+
+      const target = menuItems.find(mi => {
+        const t = (mi.innerText || '').toLowerCase();
+        return phrases('unfollowMenu').some(p => t.includes(p));
+      });
+      if (!target) throw new Error('Unfollow/hide-all option not found');
+
+      target.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window }));
+      await humanDelay(300);
+
+      // Confirm if needed
+      const buttons = qsa('div[role="dialog"] [role="button"], div[role="dialog"] button, [aria-label]', document.body);
+      const confirm = buttons.find(b => caseIncludes(b.textContent || b.getAttribute('aria-label') || '', 'unfollow')
+                                     || phrases('confirm').some(p => caseIncludes(b.textContent || b.getAttribute('aria-label') || '', p)));
+      if (confirm) {
+        confirm.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window }));
+        await humanDelay(200);
+      }
+
+      state.unfollowedThisSession.add(actor.link);
+      countStat('unfollowed');
+      state.executedTargets.push({ source: actor, reason, success: true });
+      recordLedger(actor, reason, { success: true, excerpt: clip(post.innerText, 160) });
+      Governor.recordSuccess();
+      hidePost(post, `Unfollowed: ${actor.name}`, reason);
+      toast(`Unfollowed ${actor.name}`, 'success', 1400);
+      updateUnfollowCounts();
+    } catch (err) {
+      state.executedTargets.push({ source: actor, reason, success: false, error: String(err) });
+      recordLedger(actor, reason, { success: false, error: String(err.message || err), excerpt: clip(post.innerText, 160) });
+      countStat('errors');
+      toast(`Unfollow failed: ${err.message || err}`, 'error', 2200);
+      Governor.recordError(err);
+      // Try to close any open dialog
+      const closer = qsa('[aria-label="Close"], [data-testid="x_close_button"], [role="dialog"] [role="button"]', document.body)
+        .find(b => /close/i.test(b.textContent || b.getAttribute('aria-label') || ''));
+      if (closer) closer.click();
+    }
+  }
+
+  async function processPost(post) {
+    if (!markProcessed(post)) return;
+    const started = performance.now();
+
+    if (state.highlightPosts) {
+      post.style.outline = '2px solid #6aa2ff';
+      setTimeout(() => { if (!post.hasAttribute('data-ffcp-flagged')) post.style.outline = ''; }, 1000);
+    }
+
+    const ctx = postContext(post);
+    const match = classify(post, ctx);
+    const actor = ctx.actor;
+
+    logPost(post, match, ctx);
+    SeenPosts.record(ctx);
+    countStat('processed');
+    Scanner.recordTiming(performance.now() - started);
+
+    if (!match) return;
+
+    const type = ctx.unitType || 'post';
+    state.stats.byType[type] = (state.stats.byType[type] || 0) + 1;
+
+    await applyAction(post, match, actor);
+  }
+
+  async function applyAction(post, match, actor) {
+    const { reason } = match;
+    switch (match.action) {
+      case 'auto-unfollow': await unfollowSourceOfPost(post, reason, actor); break;
+      case 'unfollow': await unfollowSourceOfPost(post, reason, actor, { queueOnly: true }); break;
+      case 'collapse': collapsePost(post, reason); break;
+      case 'highlight': highlightPost(post, reason); break;
+      case 'log': break;
+      default: hidePost(post, `Hiding: ${reason}`, reason);
+    }
+  }
+
+  // -----------------------------
+  // SAFETY GOVERNOR
+  // -----------------------------
+  const LIMIT_WINDOWS = { perMinute: 60000, perHour: 3600000, perDay: 86400000 };
+
+  // Rate limits and circuit breaker for real (non-dry-run) unfollows. Attempt timestamps and the
+  // breaker state live in GM storage so reloading the page does not reset them.
+  const Governor = {
+    data: { attempts: [], consecutiveErrors: 0, cooldownUntil: 0, trippedReason: '' },
+    lastNotice: 0,
+
+    load() { this.data = { ...this.data, ...loadJSON(CONFIG.governorKey, {}) }; },
+
+    // Every Facebook tab writes this record: the stored one is merged in so no tab's attempts or breaker
+    // trip are lost. recordSuccess() and reset() pass clearing = true to lower the breaker fields.
+    save(clearing = false) {
+      const stored = loadJSON(CONFIG.governorKey, null);
+      if (stored) {
+        this.data.attempts = [...new Set([...(stored.attempts || []), ...this.data.attempts])].sort((a, b) => a - b);
+        if (!clearing) {
+          this.data.consecutiveErrors = Math.max(this.data.consecutiveErrors, stored.consecutiveErrors || 0);
+          if ((stored.cooldownUntil || 0) > this.data.cooldownUntil) {
+            this.data.cooldownUntil = stored.cooldownUntil;
+            this.data.trippedReason = stored.trippedReason || '';
+          }
+        }
+      }
+      saveJSON(CONFIG.governorKey, this.data);
+      renderGovernorStatus();
+    },
+
+    usage(now = Date.now()) {
+      this.data.attempts = this.data.attempts.filter(t => now - t < LIMIT_WINDOWS.perDay);
+      return Object.fromEntries(Object.entries(LIMIT_WINDOWS).map(([key, ms]) =>
+        [key, this.data.attempts.filter(t => now - t < ms)]));
+    },
+
+    // null when an unfollow may run now, otherwise { reason, retryInMs, window }
+    check(now = Date.now()) {
+      this.load();
+      if (this.data.cooldownUntil > now) {
+        return { reason: `circuit breaker: ${this.data.trippedReason}`, retryInMs: this.data.cooldownUntil - now, window: 'breaker' };
+      }
+      const usage = this.usage(now);
+      for (const [key, ms] of Object.entries(LIMIT_WINDOWS)) {
+        const limit = state.unfollowLimits[key];
+        if (limit > 0 && usage[key].length >= limit) {
+          return { reason: `${key.replace('per', 'per-').toLowerCase()} limit of ${limit} reached`, retryInMs: ms - (now - usage[key][0]), window: key };
+        }
+      }
+      return null;
+    },
+
+    notifyBlocked(blocked) {
+      if (Date.now() - this.lastNotice < 5000) return;
+      this.lastNotice = Date.now();
+      const until = new Date(Date.now() + blocked.retryInMs).toLocaleTimeString();
+      toast(`Unfollow paused until ${until} (${blocked.reason}); targets are queued`, 'error', 4000);
+    },
+
+    recordAttempt() {
+      this.load();
+      this.data.attempts.push(Date.now());
+      this.save();
+    },
+
+    recordSuccess() {
+      this.load();
+      this.data.consecutiveErrors = 0;
+      this.save(true);
+    },
+
+    recordError(err) {
+      this.load();
+      this.data.consecutiveErrors++;
+      if (state.breakerThreshold > 0 && this.data.consecutiveErrors >= state.breakerThreshold) {
+        this.data.cooldownUntil = Date.now() + state.breakerCooldownMin * 60000;
+        this.data.trippedReason = `${this.data.consecutiveErrors} errors in a row (last: ${err.message || err})`;
+        toast(`Unfollow automation paused until ${new Date(this.data.cooldownUntil).toLocaleTimeString()}: ${this.data.trippedReason}. Tools › Diagnostics checks the selectors.`, 'error', 10000);
+      }
+      this.save();
+    },
+
+    reset() {
+      this.load();
+      this.data.consecutiveErrors = 0;
+      this.data.cooldownUntil = 0;
+      this.data.trippedReason = '';
+      this.save(true);
+      toast('Circuit breaker reset', 'info', 1200);
+    }
+  };
+
+  // -----------------------------
+  // FRIEND CACHE
+  // -----------------------------
+  // First path segments that are Facebook sections rather than vanity profile URLs
+  const RESERVED_PATHS = new Set([
+    'friends', 'groups', 'pages', 'watch', 'marketplace', 'events', 'gaming', 'reel', 'reels', 'stories',
+    'photo', 'photos', 'videos', 'notifications', 'messages', 'settings', 'help', 'search', 'hashtag',
+    'ads', 'business', 'memories', 'saved', 'bookmarks', 'fundraisers', 'people', 'login', 'privacy', 'policies'
+  ]);
+
+  function isProfileLink(href) {
+    try {
+      const u = new URL(href, location.origin);
+      if (!/(^|\.)facebook\.com$/.test(u.hostname)) return false;
+      if (u.searchParams.get('profile_id') || (u.pathname === '/profile.php' && u.searchParams.get('id'))) return true;
+      const parts = u.pathname.split('/').filter(Boolean);
+      return parts.length === 1 && !RESERVED_PATHS.has(parts[0].toLowerCase()) && !parts[0].includes('.php');
+    } catch {
+      return false;
+    }
+  }
+
+  function loadFriends() {
+    state.friends = loadJSON(CONFIG.friendsKey, {});
+  }
+
+  function saveFriends() {
+    saveJSON(CONFIG.friendsKey, state.friends);
+    renderFriendStatus();
+  }
+
+  function friendLookup(link, name) {
+    return state.friends[sourceKey(link)] || (name ? state.friends[`name:${name.trim().toLowerCase()}`] : null) || null;
+  }
+
+  function addFriend(name, link, source) {
+    const key = link ? sourceKey(link) : `name:${name.trim().toLowerCase()}`;
+    if (state.friends[key]) return false;
+    state.friends[key] = { name: name || '', link: link || '', source, addedAt: new Date().toISOString() };
+    return true;
+  }
+
+  // On /friends/list the navigation column lists the signed-in user's friends, each entry a
+  // ?profile_id= link that opens that friend in the main pane. Only those entries are harvested: the main
+  // pane is the selected friend's profile (their posts, commenters, mutual friends) and the rest of the
+  // navigation holds the user's own profile link.
+  const FriendCrawler = {
+    observer: null,
+    timer: null,
+
+    isListPage() { return /^\/friends\/list/.test(location.pathname); },
+
+    start() {
+      if (this.observer || !this.isListPage()) return;
+      this.collect();
+      this.observer = new MutationObserver(() => {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.collect(), 400);
+      });
+      this.observer.observe(document.body, { childList: true, subtree: true });
+      toast('Friend list detected: scroll to the bottom to cache all friends', 'info', 4000);
+    },
+
+    stop() {
+      this.observer?.disconnect();
+      this.observer = null;
+      clearTimeout(this.timer);
+    },
+
+    collect() {
+      let added = 0;
+      for (const a of qsa('[role="navigation"] a[href*="profile_id="]')) {
+        if (a.closest('[role="main"], [role="banner"], #ffcp-drawer') || !isProfileLink(a.href)) continue;
+        const name = (a.innerText || a.getAttribute('aria-label') || '').split('\n').map(t => t.trim()).find(Boolean);
+        const profileId = new URL(a.href).searchParams.get('profile_id');
+        const link = profileId ? `${location.origin}/profile.php?id=${profileId}` : a.href;
+        if (name && addFriend(name, link, 'crawl')) added++;
+      }
+      if (added) {
+        saveFriends();
+        toast(`Cached ${added} friend${added === 1 ? '' : 's'} (${Object.keys(state.friends).length} total)`, 'success', 1200);
+      }
+    }
+  };
+
+  // Accepts our own export (array or map of {name, link}), Facebook's data download
+  // ({ friends_v2: [{ name }] }, name-only) or pasted lines of "URL", "Name, URL" or "Name<TAB>URL"
+  function importFriends(text) {
+    const entries = [];
+    const trimmed = (text || '').trim();
+    if (!trimmed) return 0;
+    if (/^[[{]/.test(trimmed)) {
+      let data;
+      try { data = JSON.parse(trimmed); } catch { throw new Error('Invalid JSON'); }
+      const list = Array.isArray(data) ? data : data.friends_v2 || data.friends || Object.values(data);
+      if (!Array.isArray(list)) throw new Error('No friend list found in JSON');
+      list.forEach(f => f && entries.push({ name: f.name || '', link: f.link || f.url || f.href || '' }));
+    } else {
+      for (const line of trimmed.split('\n')) {
+        const url = line.match(/https?:\/\/\S+/)?.[0] || '';
+        const name = line.replace(url, '').replace(/[\t,;|]+/g, ' ').trim();
+        if (url || name) entries.push({ name, link: url });
+      }
+    }
+    let added = 0;
+    for (const e of entries) {
+      if (e.link && !isProfileLink(e.link)) continue;
+      if ((e.link || e.name) && addFriend(e.name, e.link, 'import')) added++;
+    }
+    saveFriends();
+    return added;
+  }
+
+  // -----------------------------
+  // WHITELIST
+  // -----------------------------
+  // Entries are { id, kind, key, label, type }. kind decides what key is matched against:
+  //   source  - sourceKey of the actor link (id:123 or /vanity), so renames do not matter
+  //   pattern - sourceKey with * wildcards, e.g. /groups/* or /*news*
+  //   domain  - outbound link domain in the post; subdomains match too
+  //   name    - lowercased display name (old name-only entries and plain-text input)
+  // type limits an entry to people, pages or groups; 'any' applies to every source.
+  const WHITELIST_TYPES = { any: 'Any source', person: 'People', page: 'Pages', group: 'Groups' };
+  const WHITELIST_KINDS = { source: 'Source', pattern: 'Pattern', domain: 'Domain', name: 'Name' };
+
+  function whitelistEntry(kind, key, label, type = 'any') {
+    return { id: `w${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, kind, key, label, type };
+  }
+
+  // "domain:example.com", numeric IDs, profile/page URLs, /paths (with * wildcards) or a display name
+  function parseWhitelistInput(input, type = 'any') {
+    const raw = (input || '').trim();
+    if (!raw) return null;
+    if (/^domain:/i.test(raw)) {
+      const host = normalizeDomain(raw.slice(7));
+      return host ? whitelistEntry('domain', host, host, type) : null;
+    }
+    if (/^\d+$/.test(raw)) return whitelistEntry('source', `id:${raw}`, raw, type);
+    const isLink = /^(https?:\/\/|([\w-]+\.)?facebook\.com\/|\/)/i.test(raw);
+    if (raw.includes('*')) {
+      let path = raw.replace(/^(https?:\/\/)?([\w-]+\.)?facebook\.com/i, '').toLowerCase();
+      if (!/^(\/|\*|id:)/.test(path)) path = `/${path}`;
+      return whitelistEntry('pattern', path, raw, type);
+    }
+    if (isLink) {
+      const url = /^(https?:\/\/|\/)/i.test(raw) ? raw : `https://${raw}`;
+      return whitelistEntry('source', sourceKey(url), raw, type);
+    }
+    return whitelistEntry('name', raw.toLowerCase(), raw, type);
+  }
+
+  function whitelistTypeMatches(type, actor) {
+    if (!type || type === 'any') return true;
+    const actual = actor?.type || 'other';
+    // Vanity URLs do not say whether they belong to a person or a page
+    return actual === type || (actual === 'other' && type !== 'group');
+  }
+
+  // Returns the first entry covering this actor (and, for domain entries, the post's outbound links)
+  function whitelistMatch(actor, domains = []) {
+    if (!state.whitelist.length) return null;
+    const key = actor?.link ? sourceKey(actor.link) : '';
+    const name = (actor?.name || '').trim().toLowerCase();
+    return state.whitelist.find(e => {
+      if (!whitelistTypeMatches(e.type, actor)) return false;
+      switch (e.kind) {
+        case 'source': return !!key && key === e.key;
+        case 'pattern': return !!key && !!compileRegex(`^${escapeRegex(e.key).replace(/\\\*/g, '.*')}$`)?.test(key);
+        case 'domain': return domains.some(d => d === e.key || d.endsWith(`.${e.key}`));
+        case 'name': return !!name && name === e.key;
+        default: return false;
+      }
+    }) || null;
+  }
+
+  // Adds an entry unless one with the same kind and key exists; returns the stored entry
+  function addWhitelistEntry(entry) {
+    const existing = state.whitelist.find(e => e.kind === entry.kind && e.key === entry.key);
+    if (existing) return existing;
+    state.whitelist.push(entry);
+    saveSettings();
+    renderWhitelist();
+    return entry;
+  }
+
+  function whitelistSource(actor) {
+    return addWhitelistEntry(whitelistEntry('source', sourceKey(actor.link), actor.name));
+  }
+
+  // -----------------------------
+  // UNFOLLOW LEDGER & SOURCE QUEUE
+  // -----------------------------
+  function loadLedger() {
+    state.ledger = loadJSON(CONFIG.ledgerKey, []);
+    indexLedger();
+  }
+
+  // Rebuilt whenever entries leave the ledger or get refollowed; recordLedger adds to it directly
+  function indexLedger() {
+    state.ledgerSources = new Set(state.ledger.filter(e => e.success && !e.refollowedAt).map(e => sourceKey(e.link)));
+  }
+
+  function saveLedger() {
+    if (state.ledger.length > CONFIG.ledgerMax) {
+      state.ledger.length = CONFIG.ledgerMax;
+      indexLedger();
+    }
+    saveJSON(CONFIG.ledgerKey, state.ledger);
+  }
+
+  function recordLedger(actor, reason, { success, error = '', excerpt = '' }) {
+    state.ledger.unshift({
+      id: `l${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: actor.name,
+      link: actor.link,
+      type: actor.type || 'other',
+      reason,
+      ts: new Date().toISOString(),
+      success,
+      error,
+      excerpt,
+      refollowedAt: null
+    });
+    if (success) state.ledgerSources.add(sourceKey(actor.link));
+    saveLedger();
+    renderHistory();
+  }
+
+  function ledgerHasUnfollowed(link) {
+    return state.ledgerSources.has(sourceKey(link));
+  }
+
+  // Only the source header is searched: anywhere else a Following / Follow button may belong to
+  // another source (sidebar suggestions, chat)
+  function findHeaderControl(phrases) {
+    const header = qs(CONFIG.sourceHeaderSelector);
+    if (!header) return null;
+    return qsa('[role="button"], button', header).find(b => {
+      if (b.closest(CONFIG.postSelector)) return false;
+      const label = (b.getAttribute('aria-label') || b.innerText || '').trim().toLowerCase();
+      return phrases.includes(label);
+    }) || null;
+  }
+
+  // Runs on the source's own profile / page / group, where Facebook shows Follow (or a
+  // Following/Joined menu that contains it) in the header.
+  async function refollowOnSourcePage() {
+    const ready = await waitFor(() => findHeaderControl(phrases('follow')) || findHeaderControl(phrases('followState')));
+    if (!ready) throw new Error('Follow control not found on page');
+    let btn = findHeaderControl(phrases('follow'));
+    if (!btn) {
+      clickEl(findHeaderControl(phrases('followState')));
+      btn = await waitFor(() => qsa('[role="menuitem"], [role="menuitemradio"]', document.body).find(mi => {
+        const t = (mi.innerText || '').trim().toLowerCase();
+        return phrases('follow').some(p => t === p || t.startsWith(`${p} `));
+      }), 3000);
+      if (!btn) throw new Error('Follow option not found in menu');
+    }
+    clickEl(btn);
+    await sleep(500);
+  }
+
+  // Counterpart of refollowOnSourcePage: the Following / Friends / Joined / Liked header button opens a
+  // menu with the unfollow item. Returns a note instead of throwing when there is nothing to unfollow.
+  // The feed-time friend flag is often missing (empty friend cache), so a Friends button counts here too.
+  async function unfollowOnSourcePage() {
+    const ready = await waitFor(() => findHeaderControl(phrases('followState')) || findHeaderControl(phrases('follow')));
+    if (!ready) throw new Error('Following control not found on page');
+    if (state.protectFriends && findHeaderControl(phrases('friendsButton'))) {
+      countStat('protected');
+      return 'Protected friend';
+    }
+    const following = findHeaderControl(phrases('followState'));
+    if (!following) return 'Not following';
+    clickEl(following);
+    const item = await waitFor(() => qsa('[role="menuitem"], [role="menuitemradio"], [role="menuitemcheckbox"]', document.body).find(mi => {
+      const t = (mi.innerText || '').trim().toLowerCase();
+      return phrases('unfollowMenu').some(p => t.includes(p));
+    }), 3000);
+    if (!item) throw new Error('Unfollow option not found in menu');
+    clickEl(item);
+    await humanDelay(400);
+    const confirm = qsa('div[role="dialog"] [role="button"], div[role="dialog"] button', document.body).find(b => {
+      const label = (b.innerText || b.getAttribute('aria-label') || '').trim().toLowerCase();
+      return phrases('confirm').some(p => label === p || label.startsWith(`${p} `));
+    });
+    if (confirm) {
+      clickEl(confirm);
+      await humanDelay(300);
+    }
+    return '';
+  }
+
+  // Kept in sessionStorage so a tab keeps its id across the queue's navigations
+  const TAB_ID = (() => {
+    const fresh = Math.random().toString(36).slice(2, 10);
+    try {
+      const id = sessionStorage.getItem('ffcp_tab') || fresh;
+      sessionStorage.setItem('ffcp_tab', id);
+      return id;
+    } catch {
+      return fresh;
+    }
+  })();
+
+  // Facebook redirects profile.php?id= links to vanity URLs. The redirect is looked up before leaving so
+  // the landed page can be checked against it; anything that is not a source page (home, login,
+  // checkpoint) does not count as a target.
+  async function redirectTarget(link) {
+    try {
+      const res = await fetch(link, { method: 'HEAD', credentials: 'include' });
+      if (!res.redirected) return null;
+      const group = /^\/groups\/[^/]+\/?$/.test(new URL(res.url).pathname);
+      return group || isProfileLink(res.url) ? sourceKey(res.url) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Jobs that have to run on the source's own page survive the navigation in GM storage:
+  // each page load resumes the head of the queue, then navigates to the next job.
+  // A job only runs on its source's page; one tab at a time works through the queue.
+  // Unfollow jobs go through the same Dry Run / Governor checks as unfollows from the feed.
+  const SourceQueue = {
+    running: false,
+    handlers: {
+      refollow: refollowOnSourcePage,
+      unfollow: unfollowOnSourcePage
+    },
+
+    load() { return loadJSON(CONFIG.sourceQueueKey, []); },
+    save(queue) { saveJSON(CONFIG.sourceQueueKey, queue); renderQueueStatus(); renderBatchStatus(); },
+
+    enqueue(jobs) {
+      const queue = this.load();
+      for (const job of jobs) {
+        if (!queue.some(j => j.kind === job.kind && sourceKey(j.link) === sourceKey(job.link))) queue.push(job);
+      }
+      this.save(queue);
+      this.resume();
+    },
+
+    cancel() {
+      this.save([]);
+      toast('Source queue cancelled', 'info', 1200);
+    },
+
+    // Another tab holding a fresh lock owns the queue head. Written, then read back after a pause,
+    // so two tabs resuming at the same moment do not both take it.
+    async claim() {
+      const held = loadJSON(CONFIG.sourceQueueLockKey, null);
+      if (held && held.tab !== TAB_ID && Date.now() - held.ts < CONFIG.sourceQueueLockMs) return false;
+      saveJSON(CONFIG.sourceQueueLockKey, { tab: TAB_ID, ts: Date.now() });
+      await sleep(300);
+      return loadJSON(CONFIG.sourceQueueLockKey, null)?.tab === TAB_ID;
+    },
+
+    release() {
+      if (loadJSON(CONFIG.sourceQueueLockKey, null)?.tab === TAB_ID) saveJSON(CONFIG.sourceQueueLockKey, null);
+    },
+
+    onTarget(job) {
+      const here = sourceKey(location.href);
+      return here === sourceKey(job.link) || (!!job.landingKey && here === job.landingKey);
+    },
+
+    async resume() {
+      if (!this.load().length || this.running) return;
+      this.running = true;
+      if (!(await this.claim())) { this.running = false; return; }
+      this.running = false;
+      const queue = this.load();
+      const job = queue[0];
+      if (!job) { this.release(); return; }
+      if (job.kind === 'unfollow' && !(await this.unfollowAllowed())) { this.release(); return; }
+      if (!job.navigated && !this.onTarget(job)) {
+        job.navigated = true;
+        job.landingKey = await redirectTarget(job.link);
+        this.save(queue);
+        toast(`Opening ${job.name} (${queue.length} queued)`, 'info', 1500);
+        await sleep(800);
+        location.assign(job.link);
+        return;
+      }
+
+      this.running = true;
+      let error = '';
+      let note = '';
+      if (!this.onTarget(job)) {
+        error = 'Landed on wrong page';
+      } else if (!(await this.claim())) {
+        this.running = false;
+        return;
+      } else {
+        if (job.kind === 'unfollow') Governor.recordAttempt();
+        try {
+          note = (await this.handlers[job.kind]()) || '';
+        } catch (err) {
+          error = String(err.message || err);
+        }
+      }
+      this.finish(job, error, note);
+
+      const rest = this.load().slice(1);
+      this.save(rest);
+      if (rest.length && rest[0].kind === 'unfollow') await humanDelay(CONFIG.unfollowGapMs);
+      this.running = false;
+      if (rest.length) this.resume();
+      else {
+        this.release();
+        toast('Source queue finished', 'success', 1600);
+      }
+    },
+
+    // Sits out short per-minute waits; Dry Run, hour/day limits and the breaker leave the queue for later
+    async unfollowAllowed() {
+      if (state.dryRun) {
+        toast('Unfollow queue paused: Dry Run is on', 'info', 2500);
+        return false;
+      }
+      this.running = true;
+      let blocked = Governor.check();
+      while (blocked && blocked.window === 'perMinute' && blocked.retryInMs <= 90000) {
+        toast(`Rate limit: waiting ${Math.ceil(blocked.retryInMs / 1000)}s`, 'info', 2000);
+        await sleep(blocked.retryInMs);
+        await humanDelay(1000);
+        blocked = Governor.check();
+      }
+      this.running = false;
+      if (blocked) Governor.notifyBlocked(blocked);
+      return !blocked;
+    },
+
+    finish(job, error, note = '') {
+      if (job.kind === 'unfollow') {
+        const source = { name: job.name, link: job.link, type: job.type };
+        state.executedTargets.push({ source, reason: job.reason, success: !error, error, via: 'source page' });
+        if (error) {
+          countStat('errors');
+          Governor.recordError(error);
+        } else if (!note) {
+          state.unfollowedThisSession.add(job.link);
+          countStat('unfollowed');
+          Governor.recordSuccess();
+        }
+        // "Not following" is not a ledger entry: a later refollow would follow a source the user never followed
+        if (!note) recordLedger(source, job.reason, { success: !error, error });
+        recordBatchResult(job, error ? 'failed' : note ? 'skipped' : 'unfollowed', error || note);
+        updateUnfollowCounts();
+        toast(error ? `Unfollow failed for ${job.name}: ${error}` : note ? `${job.name}: ${note}` : `Unfollowed ${job.name}`, error ? 'error' : 'success', 1800);
+      }
+      if (job.kind === 'refollow') {
+        const entry = state.ledger.find(e => e.id === job.ledgerId);
+        if (entry) {
+          if (error) entry.refollowError = error;
+          else { entry.refollowedAt = new Date().toISOString(); entry.refollowError = ''; indexLedger(); }
+          saveLedger();
+          renderHistory();
+        }
+        toast(error ? `Refollow failed for ${job.name}: ${error}` : `Refollowed ${job.name}`, error ? 'error' : 'success', 1800);
+      }
+    }
+  };
+
+  function loadBatch() {
+    return loadJSON(CONFIG.unfollowBatchKey, { startedAt: null, results: [] });
+  }
+
+  function recordBatchResult(job, status, detail = '') {
+    const batch = loadBatch();
+    batch.results.push({ name: job.name, link: job.link, reason: job.reason || '', status, detail, ts: new Date().toISOString() });
+    if (batch.results.length > CONFIG.unfollowBatchMax) batch.results.splice(0, batch.results.length - CONFIG.unfollowBatchMax);
+    saveJSON(CONFIG.unfollowBatchKey, batch);
+    renderBatchStatus();
+  }
+
+  // Execution mode for targets without a post on screen: every pending target becomes an unfollow
+  // job in the SourceQueue, which opens the target's page and uses the header control there
+  function executeUnfollowViaPages() {
+    const approved = approvedTargets();
+    if (!approved) return;
+    if (!SourceQueue.load().some(j => j.kind === 'unfollow')) {
+      saveJSON(CONFIG.unfollowBatchKey, { startedAt: new Date().toISOString(), results: [] });
+    }
+    const jobs = [];
+    for (const { source, reason } of approved) {
+      const job = { kind: 'unfollow', name: source.name, link: source.link, type: source.type, reason };
+      const allowed = whitelistMatch(source);
+      if (allowed) recordBatchResult(job, 'skipped', `Whitelisted: ${allowed.label}`);
+      else if (state.protectFriends && source.isFriend) recordBatchResult(job, 'skipped', 'Protected friend');
+      else if (ledgerHasUnfollowed(source.link)) recordBatchResult(job, 'skipped', 'Already unfollowed');
+      else jobs.push(job);
+    }
+    state.pendingTargets = state.pendingTargets.filter(t => !t.approved);
+    updateUnfollowCounts();
+    if (!jobs.length) { toast('Nothing to unfollow: every target was skipped', 'info', 1800); return; }
+    toast(`Visiting ${jobs.length} source page${jobs.length === 1 ? '' : 's'} to unfollow`, 'info', 1800);
+    SourceQueue.enqueue(jobs);
+  }
+
+  function cancelUnfollowBatch() {
+    SourceQueue.save(SourceQueue.load().filter(j => j.kind !== 'unfollow'));
+    toast('Unfollow batch cancelled', 'info', 1200);
+  }
+
+  function refollowSelected() {
+    const ids = qsa('#ffcp-history-list input[data-ledger-select]:checked').map(cb => cb.value);
+    const jobs = state.ledger
+      .filter(e => ids.includes(e.id) && e.success && !e.refollowedAt)
+      .map(e => ({ kind: 'refollow', ledgerId: e.id, name: e.name, link: e.link }));
+    if (!jobs.length) { toast('Select unfollowed entries to refollow', 'info', 1600); return; }
+    SourceQueue.enqueue(jobs);
+  }
+
+  function filteredLedger() {
+    const q = (qs('#ffcp-history-search')?.value || '').trim().toLowerCase();
+    if (!q) return state.ledger;
+    return state.ledger.filter(e => [e.name, e.link, e.reason, e.error, e.excerpt].some(v => (v || '').toLowerCase().includes(q)));
+  }
+
+  // -----------------------------
+  // FEED SCANNING
+  // -----------------------------
+  // Only added nodes are looked at: mutations are coalesced for CONFIG.scanDebounceMs, each added
+  // node is resolved to the post / feed child / tray it belongs to, and the resulting units are
+  // queued. The queue is drained in requestIdleCallback slices; nothing is scheduled while it is empty.
+  const requestIdle = window.requestIdleCallback
+    ? (fn) => window.requestIdleCallback(fn, { timeout: CONFIG.scanIdleTimeoutMs })
+    : (fn) => setTimeout(() => {
+      const end = performance.now() + 12;
+      fn({ didTimeout: false, timeRemaining: () => Math.max(0, end - performance.now()) });
+    }, 50);
+
+  const SCAN_IGNORE = '.ffcp-placeholder, #ffcp-drawer, #ffcp-fab, #ffcp-modal, #ffcp-palette, #ffcp-toasts, #ffcp-picker-overlay';
+
+  // The element a mutation should be re-examined from
+  function scanRoot(node) {
+    const post = topLevelPost(node);
+    if (post) return post;
+    const tray = node.closest(CONFIG.unitSelectors.join(', '));
+    if (tray) return tray;
+    const feed = node.parentElement?.closest(CONFIG.feedSelector);
+    if (!feed) return node;
+    let child = node;
+    while (child.parentElement !== feed) child = child.parentElement;
+    return child;
+  }
+
+  function unitsIn(root) {
+    if (root.hasAttribute(CONFIG.processedAttr)) return [];
+    if (root.matches(CONFIG.postSelector) || CONFIG.unitSelectors.some(sel => root.matches(sel))) return [root];
+    if (root.parentElement?.matches(CONFIG.feedSelector)) return feedChildUnits(root);
+    const feeds = [...(root.matches(CONFIG.feedSelector) ? [root] : []), ...qsa(CONFIG.feedSelector, root)];
+    const units = feeds.flatMap(feed => [...feed.children].flatMap(feedChildUnits));
+    for (const sel of CONFIG.unitSelectors) {
+      for (const el of qsa(sel, root)) if (!el.closest(CONFIG.postSelector)) units.push(el);
+    }
+    return units;
+  }
+
+  const Scanner = {
+    observer: null,
+    added: [],
+    queue: new Set(),
+    flushTimer: null,
+    draining: false,
+    lock: Promise.resolve(),
+    pending: new WeakSet(),  // re-classified posts whose action is waiting for its turn
+    perf: { posts: 0, ms: 0, recent: [] },   // recent: finish times (ms) within the last 10 s
+
+    start() {
+      if (this.observer) return;
+      this.observer = new MutationObserver((mutations) => {
+        for (const m of mutations) for (const n of m.addedNodes) if (n.nodeType === 1) this.added.push(n);
+        if (this.added.length && !this.flushTimer) this.flushTimer = setTimeout(() => this.flush(), CONFIG.scanDebounceMs);
+      });
+      this.observer.observe(document.body, { childList: true, subtree: true });
+      state.feedObserver = this.observer;
+      this.enqueue(feedUnits());
+    },
+
+    flush() {
+      this.flushTimer = null;
+      Router.check();
+      const roots = new Set();
+      for (const node of this.added) {
+        if (node.isConnected && !node.closest(SCAN_IGNORE)) roots.add(scanRoot(node));
+      }
+      this.added = [];
+      this.enqueue([...roots].flatMap(unitsIn));
+    },
+
+    enqueue(units) {
+      for (const unit of units) if (!unit.hasAttribute(CONFIG.processedAttr)) this.queue.add(unit);
+      if (this.queue.size && !this.draining) {
+        this.draining = true;
+        requestIdle((deadline) => this.drain(deadline));
+      }
+    },
+
+    // Runs fn after every post action started before it: unfollow flows search the whole page for menu
+    // items, so two at once could click each other's menus
+    exclusive(fn) {
+      const run = this.lock.then(fn);
+      this.lock = run.catch(() => {});
+      return run;
+    },
+
+    // processPost is awaited so unfollows stay sequential; after a slow one the deadline has simply expired
+    async drain(deadline) {
+      while (this.queue.size && (deadline.timeRemaining() > 1 || deadline.didTimeout)) {
+        const [unit] = this.queue;
+        this.queue.delete(unit);
+        if (unit.isConnected) await this.exclusive(() => processPost(unit));
+        if (deadline.didTimeout) break;
+      }
+      updateStats();
+      if (this.queue.size) requestIdle((d) => this.drain(d));
+      else this.draining = false;
+    },
+
+    recordTiming(ms) {
+      const now = performance.now();
+      this.perf.posts++;
+      this.perf.ms += ms;
+      this.perf.recent.push(now);
+      while (this.perf.recent[0] < now - 10000) this.perf.recent.shift();
+    },
+
+    summary() {
+      const { posts, ms, recent } = this.perf;
+      const now = performance.now();
+      const lastTen = recent.filter(t => t >= now - 10000).length;
+      return { perSec: lastTen / 10, avgMs: posts ? ms / posts : 0, queued: this.queue.size };
+    }
+  };
+
+  // Posts already scanned but left alone are classified again after a new rule, keyword or ad pattern.
+  // Returns how many matched; their actions queue behind any post action in progress (Scanner.exclusive).
+  function reclassifyFeed() {
+    let matched = 0;
+    for (const post of feedUnits()) {
+      if (!post.hasAttribute(CONFIG.processedAttr) || Scanner.pending.has(post)) continue;
+      if (post.matches('[data-ffcp-hidden-reason], [data-ffcp-collapsed], [data-ffcp-flagged]')) continue;
+      const ctx = postContext(post);
+      const match = classify(post, ctx);
+      if (!match) continue;
+      matched++;
+      const type = ctx.unitType || 'post';
+      state.stats.byType[type] = (state.stats.byType[type] || 0) + 1;
+      logPost(post, match, ctx);
+      Scanner.pending.add(post);
+      Scanner.exclusive(async () => {
+        Scanner.pending.delete(post);
+        if (post.isConnected) await applyAction(post, match, ctx.actor);
+      });
+    }
+    updateStats();
+    return matched;
+  }
+
+  // Full resync: queues every unprocessed unit currently in the feed
+  function scanFeed() {
+    Scanner.enqueue(feedUnits());
+  }
+
+  // -----------------------------
+  // ROUTES & PROFILES
+  // -----------------------------
+  // Facebook navigates client-side. Router watches pushState/replaceState/popstate (and, in case the
+  // page's history is not the one we patched, every scanner flush) and re-resolves the route.
+  // First match wins, so the Groups feed is tested before individual groups.
+  const ROUTES = {
+    home: { label: 'Home', test: (path) => path === '/' || path === '/home.php' },
+    groupsFeed: { label: 'Groups feed', test: (path) => /^\/groups(\/feed|\/discover)?$/.test(path) },
+    group: { label: 'Group', test: (path) => /^\/groups\/[^/]+/.test(path) },
+    watch: { label: 'Watch', test: (path) => /^\/watch(\/|$)/.test(path) },
+    search: { label: 'Search', test: (path) => /^\/search(\/|$)/.test(path) },
+    pages: { label: 'Pages & profiles', test: (path, href) => /^\/pages\//.test(path) || isProfileLink(href) }
+  };
+
+  // Settings a route profile can override; booleans are Inherit / On / Off
+  const PROFILE_FLAGS = {
+    hideSponsored: 'Sponsored',
+    hideSuggested: 'Suggested',
+    autoUnfollow: 'Auto-unfollow matches'
+  };
+
+  // A malformed escape (e.g. a stray % in a group slug) keeps the raw segment instead of throwing
+  function decodeSegment(segment) {
+    try { return decodeURIComponent(segment); } catch { return segment; }
+  }
+
+  function currentRoute() {
+    const path = location.pathname.replace(/\/+$/, '') || '/';
+    for (const [id, route] of Object.entries(ROUTES)) {
+      if (!route.test(path, location.href)) continue;
+      const group = id === 'group' ? decodeSegment(path.split('/')[2]).toLowerCase() : null;
+      return { id, label: route.label, key: group ? `group:${group}` : id, group };
+    }
+    return { id: 'other', label: 'Other', key: 'other', group: null };
+  }
+
+  // A specific group's profile replaces the generic Group profile rather than layering on it
+  function activeProfile() {
+    const route = state.route;
+    if (!route) return null;
+    const key = [route.key, route.group ? 'group' : null].find(k => k && state.routeProfiles[k]);
+    return key ? { key, ...state.routeProfiles[key] } : null;
+  }
+
+  // Value of a profile-able setting on the current route
+  function setting(key) {
+    const profile = activeProfile();
+    if (!profile) return state[key];
+    if (key === 'hideUnits') return { ...state.hideUnits, ...profile.hideUnits };
+    if (key === 'keywordList') {
+      if (profile.keywordMode === 'replace') return profile.keywordList || [];
+      if (profile.keywordMode === 'add') return [...state.keywordList, ...(profile.keywordList || [])];
+      return state.keywordList;
+    }
+    return typeof profile[key] === 'boolean' ? profile[key] : state[key];
+  }
+
+  const Router = {
+    href: location.href,
+
+    start() {
+      state.route = currentRoute();
+      for (const method of ['pushState', 'replaceState']) {
+        const original = history[method];
+        history[method] = function (...args) {
+          const result = original.apply(this, args);
+          Router.check();
+          return result;
+        };
+      }
+      window.addEventListener('popstate', () => this.check());
+      renderRouteStatus();
+    },
+
+    check() {
+      if (location.href === this.href) return;
+      this.href = location.href;
+      const previous = state.route;
+      state.route = currentRoute();
+      if (previous?.key !== state.route.key) renderRouteStatus();
+      // The new page's feed usually arrives as added nodes; the resync catches reused containers
+      setTimeout(scanFeed, CONFIG.scanDebounceMs);
+      if (FriendCrawler.isListPage()) FriendCrawler.start();
+      else FriendCrawler.stop();
+    }
+  };
+
+  // -----------------------------
+  // DAILY STATS
+  // -----------------------------
+  // Persisted per local day: { 'YYYY-MM-DD': { processed, hidden, unfollowed, protected, errors,
+  // reasons: { reason: n }, sources: { sourceKey: { name, link, n } } } }. Writes are batched.
+  const DAILY_COUNTERS = ['processed', 'hidden', 'unfollowed', 'protected', 'errors'];
+  const emptyDay = () => ({ ...Object.fromEntries(DAILY_COUNTERS.map(c => [c, 0])), reasons: {}, sources: {} });
+
+  function dayKey(date = new Date()) {
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+  }
+
+  // Adds one count to a day record; details are the hide reason and actor
+  function tallyDay(day, counter, { reason = '', actor = null } = {}) {
+    day[counter]++;
+    if (counter === 'hidden') {
+      if (reason) day.reasons[reason] = (day.reasons[reason] || 0) + 1;
+      if (actor?.link) {
+        const src = day.sources[sourceKey(actor.link)] ||= { name: actor.name, link: actor.link, n: 0 };
+        src.n++;
+        if (actor.name) src.name = actor.name;
+      }
+    }
+  }
+
+  function mergeDay(day, add) {
+    for (const c of DAILY_COUNTERS) day[c] = (day[c] || 0) + add[c];
+    for (const [r, n] of Object.entries(add.reasons)) day.reasons[r] = (day.reasons[r] || 0) + n;
+    for (const [k, src] of Object.entries(add.sources)) {
+      const into = day.sources[k] ||= { name: src.name, link: src.link, n: 0 };
+      into.n += src.n;
+      if (src.name) into.name = src.name;
+    }
+  }
+
+  // Every Facebook tab counts into the same record, so a save re-reads it and adds this tab's
+  // unsaved counts rather than writing its own copy over the other tabs' counts
+  const DailyStats = {
+    data: {},
+    unsaved: {},
+    saveTimer: null,
+
+    load() {
+      this.data = loadJSON(CONFIG.dailyStatsKey, {});
+      this.prune();
+      window.addEventListener('pagehide', () => {
+        if (this.saveTimer) this.save();
+        if (logSaveTimer) saveLog();
+      });
+    },
+
+    day(key = dayKey()) {
+      return (this.data[key] ||= emptyDay());
+    },
+
+    count(counter, details = {}) {
+      tallyDay(this.day(), counter, details);
+      tallyDay(this.unsaved[dayKey()] ||= emptyDay(), counter, details);
+      if (!this.saveTimer) this.saveTimer = setTimeout(() => this.save(), CONFIG.dailyStatsSaveMs);
+    },
+
+    save() {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      const data = loadJSON(CONFIG.dailyStatsKey, {});
+      for (const [key, add] of Object.entries(this.unsaved)) mergeDay(data[key] ||= emptyDay(), add);
+      this.unsaved = {};
+      this.dropOldDays(data);
+      // Only the busiest sources of a day are worth keeping for the leaderboard
+      for (const day of Object.values(data)) {
+        const entries = Object.entries(day.sources);
+        if (entries.length > CONFIG.dailySourcesMax) {
+          day.sources = Object.fromEntries(entries.sort((a, b) => b[1].n - a[1].n).slice(0, CONFIG.dailySourcesMax));
+        }
+      }
+      this.data = data;
+      saveJSON(CONFIG.dailyStatsKey, data);
+    },
+
+    // Returns the number of days removed
+    dropOldDays(data) {
+      const cutoff = dayKey(new Date(Date.now() - state.statsRetentionDays * 86400000));
+      let removed = 0;
+      for (const key of Object.keys(data)) {
+        if (key < cutoff) { delete data[key]; removed++; }
+      }
+      return removed;
+    },
+
+    prune() {
+      if (this.dropOldDays(this.data)) this.save();
+    },
+
+    clear() {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.data = {};
+      this.unsaved = {};
+      saveJSON(CONFIG.dailyStatsKey, {});
+    },
+
+    // Days from oldest to newest (missing days filled with zeros) plus range totals
+    range(days) {
+      const list = [];
+      for (let i = days - 1; i >= 0; i--) {
+        const key = dayKey(new Date(Date.now() - i * 86400000));
+        list.push({ key, ...(this.data[key] || emptyDay()) });
+      }
+      const totals = Object.fromEntries(DAILY_COUNTERS.map(c => [c, list.reduce((sum, d) => sum + d[c], 0)]));
+      const reasons = {};
+      const sources = {};
+      for (const d of list) {
+        for (const [r, n] of Object.entries(d.reasons)) reasons[r] = (reasons[r] || 0) + n;
+        for (const [k, s] of Object.entries(d.sources)) {
+          sources[k] = { name: s.name, link: s.link, n: (sources[k]?.n || 0) + s.n };
+        }
+      }
+      return { days: list, totals, reasons, sources };
+    }
+  };
+
+  // Session counter + today's persisted aggregate
+  function countStat(counter, detail) {
+    state.stats[counter]++;
+    DailyStats.count(counter, detail);
+  }
+
+  // -----------------------------
+  // LOGGING & EXPORT
+  // -----------------------------
+  function loadLog() {
+    state.loggedPostsData = loadJSON(CONFIG.logKey, []);
+  }
+
+  // Batched like the daily stats: the log changes on every scanned post
+  let logSaveTimer = null;
+  function saveLog() {
+    clearTimeout(logSaveTimer);
+    logSaveTimer = null;
+    if (state.loggedPostsData.length > state.logMax) state.loggedPostsData.length = state.logMax;
+    saveJSON(CONFIG.logKey, state.loggedPostsData);
+  }
+
+  function logPost(post, match, ctx) {
+    if (!state.logPosts) return;
+    const actor = ctx.actor;
+    const entry = {
+      ts: new Date().toISOString(),
+      type: ctx.unitType || 'post',
+      reason: match?.reason || 'Scanned',
+      rule: match?.rule?.name || '',
+      action: match?.action || '',
+      keyword: match?.keyword || '',
+      domain: match?.domain || '',
+      domains: ctx.domains,
+      actorName: actor?.name || 'Unknown',
+      actorLink: actor?.link || 'Unknown',
+      friend: !!actor?.isFriend,
+      friendSource: actor?.friendSource || '',
+      excerpt: clip(ctx.text, 220)
+    };
+    state.loggedPostsData.unshift(entry);
+    if (state.loggedPostsData.length > state.logMax) state.loggedPostsData.length = state.logMax;
+    if (!logSaveTimer) logSaveTimer = setTimeout(saveLog, CONFIG.dailyStatsSaveMs);
+    updateLogPanel();
+  }
+
+  async function copyJSON(data, label = 'data') {
+    const text = JSON.stringify(data, null, 2);
+    try {
+      if (navigator.clipboard?.writeText) {
+        await navigator.clipboard.writeText(text);
+      } else {
+        const ta = document.createElement('textarea');
+        ta.value = text;
+        document.body.appendChild(ta);
+        ta.select();
+        document.execCommand('copy');
+        ta.remove();
+      }
+      toast(`${label} copied to clipboard`, 'success', 1200);
+    } catch {
+      toast(`Failed to copy ${label}`, 'error', 1600);
+    }
+  }
+
+  function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+    toast(`Exported ${filename}`, 'success', 1200);
+  }
+
+  function exportJSON(data, filename = 'ffcp-export.json') {
+    downloadFile(JSON.stringify(data, null, 2), filename, 'application/json');
+  }
+
+  // Column lists are [header, row => value]
+  const friendCell = (isFriend, source) => (isFriend ? source || 'yes' : '');
+  const CSV_COLUMNS = {
+    log: [
+      ['Time', l => l.ts], ['Type', l => unitLabel(l.type)], ['Reason', l => l.reason], ['Rule', l => l.rule],
+      ['Action', l => actionLabel(l.action)], ['Keyword', l => l.keyword], ['Blocked domain', l => l.domain],
+      ['Link domains', l => (l.domains || []).join(' ')], ['Source', l => l.actorName], ['Link', l => l.actorLink],
+      ['Friend', l => friendCell(l.friend, l.friendSource)], ['Excerpt', l => l.excerpt]
+    ],
+    analysis: [
+      ['Source', r => r.source.name], ['Link', r => r.source.link], ['Source type', r => r.source.type],
+      ['Friend', r => friendCell(r.source.isFriend, r.source.friendSource)], ['Unit', r => unitLabel(r.unitType)],
+      ['Reason', r => r.reason], ['Rule', r => r.rule], ['Action', r => actionLabel(r.action)], ['Keyword', r => r.keyword],
+      ['Blocked domain', r => r.domain], ['Link domains', r => (r.domains || []).join(' ')],
+      ['Sponsored confidence', r => (r.sponsored ? Math.round(r.sponsored.confidence * 100) : '')], ['Excerpt', r => r.excerpt]
+    ],
+    targets: [
+      ['Status', t => t.status], ['Source', t => t.source?.name], ['Link', t => t.source?.link],
+      ['Source type', t => t.source?.type], ['Reason', t => t.reason], ['Friend', t => friendCell(t.source?.isFriend, t.source?.friendSource)],
+      ['Error', t => t.error], ['Excerpts', t => (t.excerpts || []).join(' | ')]
+    ],
+    history: [
+      ['Time', e => e.ts], ['Source', e => e.name], ['Link', e => e.link], ['Source type', e => e.type], ['Reason', e => e.reason],
+      ['Outcome', e => (e.success ? 'Unfollowed' : 'Failed')], ['Error', e => e.error], ['Refollowed', e => e.refollowedAt], ['Excerpt', e => e.excerpt]
+    ]
+  };
+
+  // RFC 4180 quoting. Cells that a spreadsheet would run as a formula get a leading apostrophe.
+  function toCSV(rows, columns) {
+    const cell = (value) => {
+      let text = value == null ? '' : String(value);
+      if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.map(([header]) => cell(header)), ...rows.map(row => columns.map(([, get]) => cell(get(row))))]
+      .map(cells => cells.join(',')).join('\r\n');
+  }
+
+  function exportCSV(rows, kind, filename) {
+    if (!rows.length) { toast('Nothing to export', 'info', 1200); return; }
+    // The BOM makes Excel open the file as UTF-8
+    downloadFile(`\uFEFF${toCSV(rows, CSV_COLUMNS[kind])}`, filename, 'text/csv;charset=utf-8');
+  }
+
+  function targetRows() {
+    return [
+      ...state.pendingTargets.map(t => ({ ...t, status: t.approved ? 'Approved' : 'Pending' })),
+      ...state.executedTargets.map(t => ({ ...t, status: t.success ? 'Unfollowed' : 'Failed' }))
+    ];
+  }
+
+  const HIDING_ACTIONS = ['hide', 'collapse', 'auto-unfollow', 'unfollow'];
+
+  // Single-file report: inline styles only, no scripts or external resources
+  function buildHtmlReport() {
+    const esc = (v) => escapeHtml(v == null ? '' : String(v));
+    const range = DailyStats.range(30);
+    const hidden = state.loggedPostsData.filter(l => HIDING_ACTIONS.includes(l.action));
+    const byReason = new Map();
+    for (const l of hidden) {
+      const sources = byReason.get(l.reason) || new Map();
+      byReason.set(l.reason, sources);
+      const key = l.actorLink !== 'Unknown' ? sourceKey(l.actorLink) : l.actorName;
+      const src = sources.get(key) || { name: l.actorName, link: l.actorLink, n: 0, last: l.ts, example: l.excerpt };
+      src.n++;
+      sources.set(key, src);
+    }
+    const reasonSections = [...byReason.entries()]
+      .map(([reason, sources]) => [reason, [...sources.values()].sort((a, b) => b.n - a.n)])
+      .sort((a, b) => b[1].reduce((s, x) => s + x.n, 0) - a[1].reduce((s, x) => s + x.n, 0))
+      .map(([reason, sources]) => `
+        <h3>${esc(reason)} (${sources.reduce((s, x) => s + x.n, 0)})</h3>
+        <table><thead><tr><th>Source</th><th>Posts</th><th>Last seen</th><th>Example</th></tr></thead><tbody>
+          ${sources.map(s => `<tr><td>${s.link && s.link !== 'Unknown' ? `<a href="${esc(s.link)}">${esc(s.name)}</a>` : esc(s.name)}</td><td>${s.n}</td><td>${esc(s.last)}</td><td>${esc(s.example)}</td></tr>`).join('')}
+        </tbody></table>`).join('');
+    const outcome = (e) => (!e.success ? `Failed: ${esc(e.error)}` : e.refollowedAt ? `Refollowed ${esc(e.refollowedAt)}` : 'Unfollowed');
+    const stat = (label, value) => `<div class="stat"><b>${value}</b><span>${label}</span></div>`;
+    return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>Feed Cleaner report ${esc(new Date().toLocaleString())}</title>
+<style>
+  body { font: 14px/1.45 system-ui, sans-serif; margin: 24px auto; max-width: 1000px; padding: 0 16px; color: #1c1e21; }
+  h1 { font-size: 22px; } h2 { margin-top: 32px; border-bottom: 1px solid #ddd; padding-bottom: 4px; } h3 { font-size: 15px; margin-top: 20px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; } th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+  th { background: #f5f6f7; } .stats { display: flex; flex-wrap: wrap; gap: 12px; }
+  .stat { border: 1px solid #ddd; border-radius: 8px; padding: 10px 14px; min-width: 110px; } .stat b { display: block; font-size: 20px; } .stat span { color: #65676b; }
+  .muted { color: #65676b; }
+</style></head><body>
+<h1>Facebook Feed Cleaner Pro report</h1>
+<p class="muted">Generated ${esc(new Date().toLocaleString())} · ${state.loggedPostsData.length} logged posts · ${state.ledger.length} unfollow records</p>
+<h2>This session</h2>
+<div class="stats">${DAILY_COUNTERS.map(c => stat(c[0].toUpperCase() + c.slice(1), state.stats[c])).join('')}</div>
+<h2>Last 30 days</h2>
+<div class="stats">${DAILY_COUNTERS.map(c => stat(c[0].toUpperCase() + c.slice(1), range.totals[c])).join('')}</div>
+<h2>Hidden posts by reason and source</h2>
+${reasonSections || '<p class="muted">No hidden posts in the log.</p>'}
+<h2>Unfollow outcomes</h2>
+${state.ledger.length ? `<table><thead><tr><th>Time</th><th>Source</th><th>Reason</th><th>Outcome</th></tr></thead><tbody>
+  ${state.ledger.map(e => `<tr><td>${esc(e.ts)}</td><td><a href="${esc(e.link)}">${esc(e.name)}</a></td><td>${esc(e.reason)}</td><td>${outcome(e)}</td></tr>`).join('')}
+</tbody></table>` : '<p class="muted">No unfollows recorded.</p>'}
+</body></html>`;
+  }
+
+  // -----------------------------
+  // ELEMENT PICKER (fixed bindings)
+  // -----------------------------
+  const ElementPicker = {
+    overlay: null,
+    _onMouseOver: null,
+    _onClick: null,
+
+    init() {
+      if (this.overlay) return;
+      this.overlay = document.createElement('div');
+      this.overlay.id = 'ffcp-picker-overlay';
+      document.body.appendChild(this.overlay);
+    },
+    start() {
+      this.init();
+      state.elementPickerActive = true;
+      updateUIVisibility();
+      toast('Element Picker active: hover and click a post', 'info', 4000);
+      this.overlay.style.display = 'block';
+
+      // bind once and reuse for removal
+      this._onMouseOver = this._onMouseOver || this.handleMouseOver.bind(this);
+      this._onClick = this._onClick || this.handleClick.bind(this);
+
+      document.addEventListener('mouseover', this._onMouseOver);
+      document.addEventListener('click', this._onClick, true);
+    },
+    stop() {
+      state.elementPickerActive = false;
+      updateUIVisibility();
+      if (this.overlay) this.overlay.style.display = 'none';
+      if (this._onMouseOver) document.removeEventListener('mouseover', this._onMouseOver);
+      if (this._onClick) document.removeEventListener('click', this._onClick, true);
+    },
+    handleMouseOver(e) {
+      const rect = e.target.getBoundingClientRect();
+      Object.assign(this.overlay.style, {
+        top: `${rect.top + window.scrollY}px`,
+        left: `${rect.left + window.scrollX}px`,
+        width: `${rect.width}px`,
         height: `${rect.height}px`
       });
     },
@@ -445,19 +2809,456 @@
     analyze(post) {
       const actor = findActor(post);
       const menu = anySelector(post, CONFIG.postMenuSelectors);
+      const ctx = postContext(post);
+      const match = classify(post, ctx);
+      const sponsor = ctx.sponsor;
+      const allowed = whitelistMatch(actor, ctx.domains);
       const analysis = `
         <h3>Post Analysis</h3>
         <p><strong>Actor Name:</strong> ${actor?.name || 'Not Found'}</p>
         <p><strong>Actor Link:</strong> ${actor?.link || 'Not Found'}</p>
         <p><strong>Menu Button Found:</strong> ${menu ? 'Yes' : 'No'}</p>
-        <p><strong>Reason (current rules):</strong> ${classify(post) || 'None'}</p>
+        <p><strong>Whitelisted:</strong> ${allowed ? `${escapeHtml(allowed.label)} (${escapeHtml(WHITELIST_KINDS[allowed.kind])})` : 'No'}</p>
+        <p><strong>Sponsored:</strong> ${sponsor.sponsored ? 'Yes' : 'No'} (${Math.round(sponsor.confidence * 100)}% confidence)</p>
+        ${sponsor.signals.length ? `<p><strong>Sponsored signals:</strong> ${sponsor.signals.map(sg => `${escapeHtml(sg.label)} (${Math.round(sg.confidence * 100)}%)`).join(', ')}</p>` : ''}
+        <p><strong>Reason (current rules):</strong> ${escapeHtml(match?.reason || 'None')}</p>
+        ${match?.keyword ? `<p><strong>Keyword:</strong> ${escapeHtml(match.keyword)}</p>` : ''}
+        <p><strong>Link domains:</strong> ${ctx.domains.length ? escapeHtml(ctx.domains.join(', ')) : 'None'}${ctx.blockedDomain ? ` (blocked: ${escapeHtml(ctx.blockedDomain)})` : ''}</p>
+        ${ctx.duplicate ? `<p><strong>Duplicate of:</strong> ${escapeHtml(ctx.duplicate.entry.name || 'Unknown source')} "${escapeHtml(ctx.duplicate.entry.excerpt)}" (${escapeHtml(describeDuplicate(ctx.duplicate))})</p>` : ''}
+        <p><strong>Action:</strong> ${match ? escapeHtml(actionLabel(match.action)) : 'None'}</p>
         <p><strong>Post Excerpt:</strong></p>
-        <textarea readonly>${clip(post.innerText, 600)}</textarea>
+        <textarea readonly id="ffcp-picker-excerpt">${clip(post.innerText, 600)}</textarea>
         <p>This info helps refine selectors if unfollow fails.</p>
+        <h4>Actions</h4>
+        ${actor?.link ? `<div class="ffcp-picker-actions">
+          <button class="ffcp-btn" data-pick="hide-source">Hide all posts from this source</button>
+          ${allowed ? '' : '<button class="ffcp-btn" data-pick="allow">Always allow this source</button>'}
+          <button class="ffcp-btn" data-pick="queue-source">Queue this source for unfollow</button>
+        </div>` : '<p class="ffcp-hint">No source link found: source actions are unavailable.</p>'}
+        <div class="ffcp-picker-actions">
+          <input type="text" id="ffcp-picker-keyword" value="${escapeHtml(selectedTextIn(post))}" placeholder="Select text in the excerpt or type a keyword">
+          <button class="ffcp-btn" data-pick="keyword">Add keyword</button>
+        </div>
+        ${sponsor.sponsored ? '' : '<div class="ffcp-picker-actions"><button class="ffcp-btn" data-pick="mark-ad">Mark as an ad the detector missed</button></div>'}
+        <p><strong>Learned filter:</strong> ${ctx.learnedScore === null ? 'not trained yet' : `${Math.round(ctx.learnedScore * 100)}% junk (threshold ${state.learnedThreshold}%)`}</p>
+        <div class="ffcp-picker-actions">
+          <button class="ffcp-btn" data-pick="train-hide">Hide more like this</button>
+          <button class="ffcp-btn" data-pick="train-keep">Keep posts like this</button>
+        </div>
+        <h4>Snapshot</h4>
+        <p>Saves this post's DOM as a test fixture (see tests/ in the repository).</p>
+        <label><input type="checkbox" id="ffcp-snap-names" checked> Scrub names</label>
+        <label><input type="checkbox" id="ffcp-snap-ids" checked> Scrub IDs and tracking parameters</label>
+        <label><input type="checkbox" id="ffcp-snap-text"> Scrub post text (keeps Facebook labels)</label>
+        <button class="ffcp-btn" id="ffcp-save-snapshot">Save snapshot</button>
       `;
       showModal(analysis);
+      const keywordInput = qs('#ffcp-picker-keyword');
+      qs('#ffcp-picker-excerpt').addEventListener('select', (e) => {
+        const text = e.target.value.slice(e.target.selectionStart, e.target.selectionEnd).trim();
+        if (text) keywordInput.value = text;
+      });
+      qs('#ffcp-modal-content').addEventListener('click', (e) => {
+        const action = e.target.closest('[data-pick]')?.dataset.pick;
+        if (action && runPickerAction(action, post, actor)) qs('#ffcp-modal')?.remove();
+      });
+      qs('#ffcp-save-snapshot').addEventListener('click', () => saveSnapshot(post, {
+        names: qs('#ffcp-snap-names').checked,
+        ids: qs('#ffcp-snap-ids').checked,
+        text: qs('#ffcp-snap-text').checked
+      }));
+    }
+  };
+
+  function selectedTextIn(post) {
+    const sel = window.getSelection();
+    return sel && !sel.isCollapsed && post.contains(sel.anchorNode) ? clip(sel.toString().trim(), 80) : '';
+  }
+
+  // Picker actions add a rule, whitelist entry, keyword, learned ad pattern or learned filter example and
+  // then classify the already-scanned feed again. Returns true when the modal can close.
+  function runPickerAction(action, post, actor) {
+    switch (action) {
+      case 'hide-source': return addSourceRule(actor, 'hide');
+      case 'queue-source': return addSourceRule(actor, 'unfollow');
+      case 'allow': allowSource(actor); return true;
+      case 'keyword': return addKeywordFromPicker(qs('#ffcp-picker-keyword')?.value);
+      case 'mark-ad': return markMissedAd(post, actor);
+      case 'train-hide': return trainFromPost(post, 'hide');
+      case 'train-keep': return trainFromPost(post, 'keep');
+      default: return false;
+    }
+  }
+
+  function addSourceRule(actor, action) {
+    const key = sourceKey(actor.link);
+    const allowed = whitelistMatch(actor);
+    if (allowed) {
+      toast(`${actor.name} is whitelisted (${allowed.label}); remove it from the whitelist first`, 'info', 2600);
+      return false;
+    }
+    if (action === 'unfollow' && state.protectFriends && actor.isFriend) {
+      toast(`${actor.name} is a protected friend`, 'info', 2000);
+      return false;
+    }
+    const existing = state.rules.find(r => r.action === action && r.conditions.length === 1
+      && r.conditions[0].field === 'source' && !r.conditions[0].not && r.conditions[0].value === key);
+    if (existing) {
+      toast(`Rule "${existing.name}" already covers ${actor.name}`, 'info', 1800);
+      return true;
+    }
+    const rule = {
+      ...newRule(),
+      name: action === 'hide' ? `Hide posts from ${actor.name}` : `Queue ${actor.name} for unfollow`,
+      conditions: [{ field: 'source', op: 'is', value: key, not: false }],
+      action
+    };
+    // Ahead of broader rules, so the source's own posts are not picked up by a looser action first
+    state.rules.unshift(rule);
+    saveSettings();
+    renderRules();
+    const matched = reclassifyFeed();
+    toast(`Added rule "${rule.name}"${matched ? ` (${matched} post${matched === 1 ? '' : 's'} in the feed)` : ''}`, 'success', 1800);
+    return true;
+  }
+
+  function addKeywordFromPicker(input) {
+    const text = (input || '').replace(/["*,]/g, ' ').replace(/\s+/g, ' ').trim();
+    if (!text) { toast('Select text in the excerpt or type a keyword first', 'info', 1800); return false; }
+    const term = /^[\p{L}\p{N}]+$/u.test(text) ? text : `"${text}"`;
+    if (state.keywordList.some(k => k.toLowerCase() === term.toLowerCase())) {
+      toast(`Keyword ${term} is already in the list`, 'info', 1600);
+      return true;
+    }
+    state.keywordList = [...state.keywordList, term];
+    saveSettings();
+    refreshSettingControls();
+    const matched = reclassifyFeed();
+    toast(`Added keyword ${term}${matched ? ` (${matched} post${matched === 1 ? '' : 's'} in the feed)` : ''}`, 'success', 1800);
+    return true;
+  }
+
+  function markMissedAd(post, actor) {
+    const features = adFeatures(post);
+    if (!features.subtitle && !features.ariaLabels.length && !features.domains.length) {
+      toast('Nothing distinctive found in this post to learn from', 'error', 2200);
+      return false;
+    }
+    state.adPatterns = [
+      ...state.adPatterns,
+      { id: `ad${Date.now().toString(36)}`, name: actor?.name || '', addedAt: new Date().toISOString(), features }
+    ].slice(-CONFIG.adPatternsMax);
+    saveSettings();
+    renderAdPatterns();
+    const matched = reclassifyFeed();
+    toast(`Learned ad pattern${matched ? ` (${matched} post${matched === 1 ? '' : 's'} in the feed)` : ''}`, 'success', 1800);
+    return true;
+  }
+
+  // -----------------------------
+  // SNAPSHOTS
+  // -----------------------------
+  // A snapshot is a post's DOM saved as JSON for offline reproduction (see tests/). Computed styles
+  // the detectors read are inlined, since the page stylesheets are not saved. Scrubbing is optional:
+  //   names - actor/profile link names (and the same strings anywhere else) become "Name 1", ...
+  //   ids   - long digit runs in attributes are remapped and tracking query parameters dropped
+  //   text  - letters in text nodes become x, except single characters and known Facebook labels
+  const SNAPSHOT_FORMAT = 'ffcp-snapshot';
+  const TRACKING_PARAMS = /^(__cft__|__tn__|__xts__|eav|paipv|fbclid|mibextid|ref|fref|hc_ref|comment_tracking)/;
+
+  function inlineDetectorStyles(source, clone) {
+    const sources = qsa('*', source);
+    const clones = qsa('*', clone);
+    sources.forEach((el, i) => {
+      const cs = getComputedStyle(el);
+      const decl = [];
+      if (cs.display === 'none') decl.push('display: none');
+      else if (/flex|grid/.test(cs.display)) decl.push(`display: ${cs.display}`);
+      if (cs.visibility === 'hidden' || cs.visibility === 'collapse') decl.push(`visibility: ${cs.visibility}`);
+      if (parseFloat(cs.opacity) === 0) decl.push('opacity: 0');
+      if (parseFloat(cs.fontSize) === 0) decl.push('font-size: 0');
+      if ((parseInt(cs.order, 10) || 0) !== 0) decl.push(`order: ${parseInt(cs.order, 10)}`);
+      if (cs.position === 'absolute' || cs.position === 'fixed') {
+        decl.push(`position: ${cs.position}`);
+        if (/rect\(0/.test(cs.clip)) decl.push('clip: rect(0px, 0px, 0px, 0px)');
+        if (/inset\(50%\)/.test(cs.clipPath)) decl.push('clip-path: inset(50%)');
+        if (parseFloat(cs.width) <= 1 && parseFloat(cs.height) <= 1) decl.push('width: 1px; height: 1px');
+      }
+      if (decl.length) clones[i].setAttribute('style', decl.join('; '));
+      else clones[i].removeAttribute('style');
+    });
+  }
+
+  function scrubIds(value, idMap) {
+    let out = value.replace(/\d{6,}/g, (digits) => {
+      if (!idMap.has(digits)) idMap.set(digits, String(100000000 + idMap.size + 1));
+      return idMap.get(digits);
+    });
+    if (/^(https?:)?\/\/|^\//.test(out)) {
+      try {
+        const u = new URL(out, location.origin);
+        for (const key of [...u.searchParams.keys()]) if (TRACKING_PARAMS.test(key)) u.searchParams.delete(key);
+        out = u.origin === location.origin && out.startsWith('/') ? u.pathname + u.search + u.hash : u.href;
+      } catch {}
+    }
+    return out;
+  }
+
+  // Vanity names in facebook.com paths (/jane.doe/posts/..., /groups/vintagecams/) become name.1, ...
+  function scrubVanityPath(value, vanityMap) {
+    let u;
+    try { u = new URL(value, location.origin); } catch { return value; }
+    if (!/(^|\.)facebook\.com$/.test(u.hostname)) return value;
+    const parts = u.pathname.split('/');
+    const i = parts[1] === 'groups' ? 2 : 1;
+    const slug = (parts[i] || '').toLowerCase();
+    if (!slug || /^\d+$/.test(slug) || slug.includes('.php') || (i === 1 && RESERVED_PATHS.has(slug))) return value;
+    if (!vanityMap.has(slug)) vanityMap.set(slug, `name.${vanityMap.size + 1}`);
+    parts[i] = vanityMap.get(slug);
+    u.pathname = parts.join('/');
+    return value.startsWith('/') ? u.pathname + u.search + u.hash : u.href;
+  }
+
+  function snapshotNames(post) {
+    const names = new Set();
+    const actor = findActor(post);
+    if (actor?.name) names.add(actor.name);
+    for (const a of qsa('a[href]', post)) {
+      if (!isProfileLink(a.href) && !/\/(groups|pages|people)\//.test(a.href)) continue;
+      const text = (a.textContent || '').trim();
+      if (text.length > 1 && text.length < 80) names.add(text);
+      const label = (a.getAttribute('aria-label') || '').trim();
+      if (label.length > 1 && label.length < 80) names.add(label);
+    }
+    // Longest first so "Jane Doe" is replaced before "Jane"
+    return [...names].sort((a, b) => b.length - a.length);
+  }
+
+  // Returns { format, version, capturedAt, path, locale, scrubbed, observed, expected, html, refs }
+  function captureSnapshot(post, scrub = { names: true, ids: true, text: false }) {
+    const ctx = postContext(post);
+    const match = classify(post, ctx);
+    const actor = ctx.actor;
+    const clone = post.cloneNode(true);
+    inlineDetectorStyles(post, clone);
+    qsa('script, style, noscript, iframe, .ffcp-placeholder', clone).forEach(el => el.remove());
+
+    // aria-labelledby / <use href> targets outside the post are saved alongside it
+    const refIds = new Set([
+      ...qsa('[aria-labelledby]', post).flatMap(el => el.getAttribute('aria-labelledby').split(/\s+/)),
+      ...qsa('svg use', post).map(u => (u.getAttribute('href') || u.getAttribute('xlink:href') || '').replace(/^#/, ''))
+    ].filter(Boolean));
+    const refs = document.createElement('div');
+    for (const id of refIds) {
+      const ref = document.getElementById(id);
+      if (ref && !post.contains(ref)) refs.appendChild(ref.cloneNode(true));
+    }
+
+    const names = scrub.names ? snapshotNames(post) : [];
+    const nameMap = new Map(names.map((n, i) => [n, `Name ${i + 1}`]));
+    const replaceNames = (s) => names.reduce((out, n) => out.split(n).join(nameMap.get(n)), s);
+    const keep = new Set(Object.keys(PHRASE_KEYS).flatMap(k => phrases(k)).map(p => p.toLowerCase()));
+    const idMap = new Map();
+    const vanityMap = new Map();
+
+    for (const root of [clone, refs]) {
+      for (const el of [root, ...qsa('*', root)]) {
+        for (const attr of [...el.attributes]) {
+          if (attr.name.startsWith('data-ffcp') || /^on/i.test(attr.name)) { el.removeAttribute(attr.name); continue; }
+          if (['src', 'srcset', 'xlink:href'].includes(attr.name) && !/^#/.test(attr.value)) { el.removeAttribute(attr.name); continue; }
+          let value = attr.value;
+          if (scrub.names && ['aria-label', 'title', 'alt'].includes(attr.name)) value = replaceNames(value);
+          if (scrub.names && attr.name === 'href') value = scrubVanityPath(value, vanityMap);
+          if (scrub.ids && /href|ajaxify|^data-/.test(attr.name)) value = scrubIds(value, idMap);
+          if (value !== attr.value) el.setAttribute(attr.name, value);
+        }
+      }
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        let text = scrub.names ? replaceNames(node.nodeValue) : node.nodeValue;
+        const trimmed = text.trim();
+        if (scrub.text && trimmed.length > 1 && !keep.has(trimmed.toLowerCase()) && ![...nameMap.values()].includes(trimmed)) {
+          text = text.replace(/\p{Lu}/gu, 'X').replace(/\p{Ll}|\p{Lo}/gu, 'x').replace(/\d/g, '0');
+        }
+        if (text !== node.nodeValue) node.nodeValue = text;
+      }
+    }
+
+    // Undo the styles hidePost / collapsePost / highlighting put on the post itself
+    clone.removeAttribute('style');
+    clone.removeAttribute('title');
+
+    const observed = {
+      reason: match?.reason || null,
+      sponsored: ctx.sponsor.sponsored,
+      unitType: ctx.unitType,
+      actor: actor ? { name: scrub.names ? replaceNames(actor.name) : actor.name, type: actor.type } : null
+    };
+    return {
+      format: SNAPSHOT_FORMAT,
+      version: 1,
+      capturedAt: new Date().toISOString(),
+      path: scrub.ids ? scrubIds(location.pathname, idMap) : location.pathname,
+      locale: activeLocale(),
+      scrubbed: { ...scrub },
+      observed,
+      // What the post should classify as; edit this when saving a misclassified post
+      expected: JSON.parse(JSON.stringify(observed)),
+      html: clone.outerHTML,
+      refs: refs.innerHTML
+    };
+  }
+
+  function saveSnapshot(post, scrub) {
+    const snapshot = captureSnapshot(post, scrub);
+    const name = (snapshot.observed.reason || snapshot.observed.unitType || 'post').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    exportJSON(snapshot, `ffcp-snapshot-${name}-${Date.now().toString(36)}.json`);
+  }
+
+  // -----------------------------
+  // SELECTORS & DIAGNOSTICS
+  // -----------------------------
+  // Users can replace any of these CONFIG selector lists from the drawer (Tools > Selectors).
+  // Overrides are stored as full ordered lists in state.selectorOverrides and copied into CONFIG;
+  // single-selector keys are joined into one comma-separated selector.
+  const SELECTOR_KEYS = {
+    feedSelector: { label: 'Feed container', single: true },
+    postSelector: { label: 'Post', single: true },
+    actorLinkSelectors: { label: 'Actor link' },
+    postMenuSelectors: { label: 'Post menu button' },
+    messageSelectors: { label: 'Post message body' },
+    unitSelectors: { label: 'Feed unit trays' },
+    sponsoredLinkSelectors: { label: 'Sponsored ad links' }
+  };
+  const DEFAULT_SELECTORS = Object.fromEntries(Object.entries(SELECTOR_KEYS).map(([key, { single }]) => [
+    key, single ? CONFIG[key].split(/,\s*(?![^[]*\])/) : [...CONFIG[key]]
+  ]));
+
+  function selectorList(key) {
+    return state.selectorOverrides[key] || DEFAULT_SELECTORS[key];
+  }
+
+  // Invalid selectors (e.g. from an imported file) are skipped rather than breaking every query
+  function applySelectorOverrides() {
+    for (const [key, { single }] of Object.entries(SELECTOR_KEYS)) {
+      const valid = selectorList(key).filter(isValidSelector);
+      const list = valid.length ? valid : DEFAULT_SELECTORS[key];
+      CONFIG[key] = single ? list.join(', ') : list;
+    }
+  }
+
+  function isValidSelector(sel) {
+    try { document.createDocumentFragment().querySelector(sel); return !!sel.trim(); } catch { return false; }
+  }
+
+  function setSelectorOverride(key, list) {
+    const cleaned = list.map(s => s.trim()).filter(Boolean);
+    const same = cleaned.length === DEFAULT_SELECTORS[key].length && cleaned.every((s, i) => s === DEFAULT_SELECTORS[key][i]);
+    if (!cleaned.length || same) delete state.selectorOverrides[key];
+    else state.selectorOverrides = { ...state.selectorOverrides, [key]: cleaned };
+    applySelectorOverrides();
+    saveSettings();
+    renderSelectorEditor();
+  }
+
+  // Runs every selector against the page. Per-post lists report how many of the sampled posts each
+  // selector (and the list as a whole, as the script uses it) finds something in.
+  function runDiagnostics() {
+    const feeds = qsa(CONFIG.feedSelector);
+    const posts = feeds.flatMap(f => qsa(CONFIG.postSelector, f).filter(isTopLevelPost)).slice(0, CONFIG.diagnosticsMaxPosts);
+    const perPost = (key, test = (el) => !!el) => {
+      const rows = selectorList(key).map(sel => ({ sel, hits: posts.filter(p => test(qs(sel, p))).length }));
+      const any = posts.filter(p => selectorList(key).some(sel => test(qs(sel, p)))).length;
+      return { key, total: posts.length, rows, any };
+    };
+    return {
+      posts: posts.length,
+      results: [
+        { key: 'feedSelector', pageWide: true, rows: selectorList('feedSelector').map(sel => ({ sel, hits: qsa(sel).length })), any: feeds.length },
+        { key: 'postSelector', pageWide: true, rows: selectorList('postSelector').map(sel => ({ sel, hits: qsa(sel).length })), any: posts.length },
+        perPost('actorLinkSelectors', el => !!el?.href),
+        perPost('postMenuSelectors'),
+        perPost('messageSelectors'),
+        { key: 'unitSelectors', pageWide: true, rows: selectorList('unitSelectors').map(sel => ({ sel, hits: qsa(sel).length })), any: feedUnits().length - posts.length },
+        perPost('sponsoredLinkSelectors')
+      ]
+    };
+  }
+
+  function renderDiagnostics() {
+    const el = qs('#ffcp-diagnostics');
+    if (!el) return;
+    const { posts, results } = runDiagnostics();
+    const rate = (hits, total) => {
+      const pct = total ? hits / total : 0;
+      const color = pct >= 0.8 ? 'var(--ffcp-success)' : pct >= 0.3 ? '#f7b955' : 'var(--ffcp-danger)';
+      return `<span style="color:${color}">${hits}/${total}</span>`;
+    };
+    el.innerHTML = `
+      <p class="ffcp-hint">${posts} post${posts === 1 ? '' : 's'} sampled. Per-post selectors show how many posts each one finds something in; Sponsored ad links are expected to be rare.</p>
+      <table class="ffcp-table"><tbody>
+        ${results.map(r => `
+          <tr><th colspan="2">${escapeHtml(SELECTOR_KEYS[r.key].label)}${state.selectorOverrides[r.key] ? ' <small>(overridden)</small>' : ''}
+            — ${r.pageWide ? `${r.any} on page` : `found in ${rate(r.any, r.total)} posts`}</th></tr>
+          ${r.rows.map(row => `<tr><td><code>${escapeHtml(row.sel)}</code></td><td>${r.pageWide ? `${row.hits} on page` : rate(row.hits, r.total)}</td></tr>`).join('')}
+        `).join('')}
+      </tbody></table>
+    `;
+  }
+
+  function renderSelectorEditor() {
+    const el = qs('#ffcp-selector-editor');
+    if (!el) return;
+    el.innerHTML = Object.entries(SELECTOR_KEYS).map(([key, { label }]) => `
+      <div class="ffcp-rule" data-sel-key="${key}">
+        <strong>${escapeHtml(label)}</strong>${state.selectorOverrides[key] ? ' <small style="display:inline">(overridden)</small>' : ''}
+        ${selectorList(key).map((sel, i) => `
+          <div class="ffcp-cond" data-sel-idx="${i}">
+            <input type="text" data-sel-input value="${escapeHtml(sel)}">
+            <button class="ffcp-btn" data-sel-act="up" title="Move up">↑</button>
+            <button class="ffcp-btn" data-sel-act="down" title="Move down">↓</button>
+            <button class="ffcp-btn danger" data-sel-act="remove" title="Remove">✕</button>
+          </div>
+        `).join('')}
+        <div class="ffcp-rule-btns">
+          <button class="ffcp-btn" data-sel-act="add">Add selector</button>
+          ${state.selectorOverrides[key] ? '<button class="ffcp-btn" data-sel-act="reset">Reset to defaults</button>' : ''}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  function onSelectorAction(action, key, idx) {
+    const list = [...selectorList(key)];
+    if (action === 'add') {
+      const row = document.createElement('div');
+      row.className = 'ffcp-cond';
+      row.dataset.selIdx = qsa('[data-sel-idx]', qs(`[data-sel-key="${key}"]`)).length;
+      row.innerHTML = '<input type="text" data-sel-input placeholder="CSS selector">';
+      qs(`[data-sel-key="${key}"] .ffcp-rule-btns`).before(row);
+      qs('input', row).focus();
+      return;
     }
-  };
+    if (action === 'reset') { setSelectorOverride(key, DEFAULT_SELECTORS[key]); return; }
+    if (action === 'remove') list.splice(idx, 1);
+    const to = action === 'up' ? idx - 1 : action === 'down' ? idx + 1 : -1;
+    if (to >= 0 && to < list.length) [list[idx], list[to]] = [list[to], list[idx]];
+    setSelectorOverride(key, list);
+  }
+
+  function onSelectorInput(input) {
+    const key = input.closest('[data-sel-key]').dataset.selKey;
+    const idx = +input.closest('[data-sel-idx]').dataset.selIdx;
+    const value = input.value.trim();
+    if (value && !isValidSelector(value)) {
+      toast(`Invalid selector: ${value}`, 'error', 2400);
+      input.style.borderColor = 'var(--ffcp-danger)';
+      return;
+    }
+    const list = [...selectorList(key)];
+    list[Math.min(idx, list.length)] = value;
+    setSelectorOverride(key, list);
+  }
 
   // -----------------------------
   // UI
@@ -495,7 +3296,7 @@
 }
 #ffcp-close-btn { background: none; border: 1px solid #3a4464; color: var(--ffcp-text); border-radius: 8px; padding: 6px 10px; cursor: pointer; }
 
-#ffcp-tabs { display: grid; grid-auto-flow: column; gap: 0; background: var(--ffcp-bg2); border-bottom: 1px solid var(--ffcp-border); }
+#ffcp-tabs { display: grid; grid-auto-flow: column; gap: 0; overflow-x: auto; background: var(--ffcp-bg2); border-bottom: 1px solid var(--ffcp-border); }
 .ffcp-tab-btn { padding: 10px 12px; background: none; border: none; color: var(--ffcp-dim); cursor: pointer; border-bottom: 2px solid transparent; }
 .ffcp-tab-btn.active { color: var(--ffcp-accent); border-bottom-color: var(--ffcp-accent); }
 
@@ -507,6 +3308,44 @@
 #ffcp-drawer label { display: block; margin-bottom: 8px; }
 #ffcp-drawer input[type="checkbox"] { margin-right: 8px; }
 #ffcp-drawer textarea { width: 100%; background: #131725; color: var(--ffcp-text); border: 1px solid #2a3046; border-radius: 8px; padding: 8px; }
+#ffcp-drawer input[type="text"], #ffcp-drawer input[type="number"], #ffcp-drawer select { background: #131725; color: var(--ffcp-text); border: 1px solid #2a3046; border-radius: 8px; padding: 6px 8px; max-width: 100%; box-sizing: border-box; }
+#ffcp-drawer label.ffcp-inline { display: inline-flex; align-items: center; margin: 0; }
+#ffcp-drawer summary { cursor: pointer; color: var(--ffcp-dim); margin-bottom: 8px; }
+.ffcp-num-grid { display: grid; grid-template-columns: 1fr 1fr; gap: 0 10px; }
+.ffcp-num-grid input { width: 100%; margin-top: 4px; }
+.ffcp-hint { margin: 0 0 8px 0; color: var(--ffcp-dim); font-size: 12px; }
+
+.ffcp-rule { border-left: 3px solid var(--ffcp-accent2); padding: 6px 8px; margin: 0 0 8px 0; background: #131725; border-radius: 0 8px 8px 0; }
+.ffcp-rule small { display: block; color: var(--ffcp-dim); margin-bottom: 6px; word-break: break-word; }
+.ffcp-rule-btns { display: flex; gap: 6px; flex-wrap: wrap; }
+.ffcp-rule-btns .ffcp-btn, .ffcp-cond .ffcp-btn { padding: 4px 9px; }
+.ffcp-cond { display: flex; gap: 6px; align-items: center; flex-wrap: wrap; margin-bottom: 8px; }
+.ffcp-cond input[type="text"] { flex: 1 1 120px; }
+.ffcp-wl-entry > span { flex: 1 1 120px; min-width: 0; word-break: break-word; }
+.ffcp-wl-entry small { display: block; color: var(--ffcp-dim); }
+#ffcp-palette { position: fixed; inset: 0; background: rgba(0,0,0,.45); z-index: 2147483647; display: flex; justify-content: center; align-items: flex-start; padding-top: 12vh; }
+#ffcp-palette-box { width: min(92vw, 520px); background: #11151f; border: 1px solid var(--ffcp-border); border-radius: 12px; overflow: hidden; box-shadow: 0 12px 40px rgba(0,0,0,.5); }
+#ffcp-palette-input { width: 100%; box-sizing: border-box; padding: 12px 14px; background: #0f1115; border: none; border-bottom: 1px solid var(--ffcp-border); color: var(--ffcp-text); font-size: 15px; outline: none; }
+#ffcp-palette-list { max-height: 50vh; overflow: auto; }
+.ffcp-palette-item { display: flex; justify-content: space-between; gap: 8px; padding: 8px 14px; color: var(--ffcp-text); cursor: pointer; font-size: 13px; }
+.ffcp-palette-item.active, .ffcp-palette-item:hover { background: #1a2030; }
+.ffcp-palette-item kbd { color: var(--ffcp-dim); font-family: inherit; font-size: 12px; white-space: nowrap; }
+.ffcp-review-bar { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin: 8px 0; }
+.ffcp-review-bar input[type="text"] { flex: 1 1 160px; }
+.ffcp-review-row[data-status="approved"] { border-left-color: var(--ffcp-success); }
+.ffcp-review-row[data-status="rejected"] { border-left-color: var(--ffcp-danger); opacity: .8; }
+.ffcp-batch-list { max-height: 220px; overflow: auto; margin-top: 8px; }
+.ffcp-batch-row { display: flex; justify-content: space-between; gap: 8px; padding: 4px 6px; border-left: 3px solid var(--ffcp-border); margin-bottom: 4px; }
+.ffcp-batch-row a { color: var(--ffcp-text); }
+.ffcp-batch-row span { color: var(--ffcp-dim); text-align: right; }
+.ffcp-batch-row[data-status="unfollowed"] { border-left-color: var(--ffcp-success); }
+.ffcp-batch-row[data-status="failed"] { border-left-color: var(--ffcp-danger); }
+.ffcp-batch-row[data-status="skipped"] { border-left-color: #f7b955; }
+.ffcp-picker-actions { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 8px; }
+.ffcp-classifier-terms { display: grid; grid-template-columns: 1fr 1fr; gap: 8px; }
+.ffcp-classifier-terms ol { margin: 4px 0; padding-left: 20px; }
+.ffcp-classifier-terms small { color: var(--ffcp-dim); }
+.ffcp-picker-actions input { flex: 1 1 200px; background: #0f1115; border: 1px solid var(--ffcp-border); color: var(--ffcp-text); border-radius: 8px; padding: 6px 8px; }
 
 #ffcp-fab {
   position: fixed; bottom: 20px; right: 20px; width: 52px; height: 52px; border-radius: 14px;
@@ -520,6 +3359,10 @@
 .ffcp-log-entry[data-reason="Sponsored"] { border-left-color: #f7b955; }
 .ffcp-log-entry[data-reason="Suggested"] { border-left-color: #9b6aff; }
 .ffcp-log-entry[data-reason="Keyword"] { border-left-color: #6aa2ff; }
+.ffcp-log-entry[data-reason="Rule:"] { border-left-color: #5ad18a; }
+.ffcp-log-entry[data-reason="History"] { border-left-color: var(--ffcp-success); }
+.ffcp-log-entry[data-reason="Failed"] { border-left-color: var(--ffcp-danger); }
+.ffcp-log-entry a { color: var(--ffcp-accent); }
 .ffcp-log-entry p { margin: 0 0 3px 0; }
 .ffcp-log-entry small { color: var(--ffcp-dim); }
 
@@ -529,9 +3372,11 @@
 .ffcp-btn.danger { border-color: #ff5c7a; }
 
 #ffcp-analysis-wrap { max-height: 240px; overflow: auto; background: #0f1115; border: 1px solid var(--ffcp-border); border-radius: 8px; }
-#ffcp-analysis { width: 100%; border-collapse: collapse; font-size: 12px; }
-#ffcp-analysis th, #ffcp-analysis td { text-align: left; padding: 8px 10px; border-bottom: 1px solid var(--ffcp-border); vertical-align: top; }
-#ffcp-analysis th { color: var(--ffcp-dim); }
+#ffcp-analysis, .ffcp-table { width: 100%; border-collapse: collapse; font-size: 12px; }
+#ffcp-analysis th, #ffcp-analysis td, .ffcp-table th, .ffcp-table td { text-align: left; padding: 8px 10px; border-bottom: 1px solid var(--ffcp-border); vertical-align: top; }
+#ffcp-analysis th, .ffcp-table th { color: var(--ffcp-dim); }
+#ffcp-modal-content .ffcp-table { margin-bottom: 10px; }
+.ffcp-chart { width: 100%; height: 120px; display: block; margin: 8px 0 4px; background: #131725; border-radius: 8px; }
 
 #ffcp-toast, .ffcp-toast { pointer-events: none; }
 #ffcp-toasts { position: fixed; bottom: 16px; right: 16px; display: grid; gap: 8px; z-index: 2147483646; }
@@ -541,6 +3386,11 @@
 .ffcp-toast.info { border-left: 3px solid var(--ffcp-accent); }
 .ffcp-toast.hide { opacity: 0; transform: translateY(6px); }
 
+.ffcp-placeholder { display: flex; flex-wrap: wrap; align-items: center; gap: 6px; margin: 6px 0; padding: 6px 10px; background: #151823; color: #a9b0c0; border: 1px dashed #2a3046; border-radius: 8px; font: 12px/1.4 system-ui, sans-serif; }
+.ffcp-placeholder-text { flex: 1 1 200px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.ffcp-placeholder-text strong { color: #eaeef6; }
+.ffcp-placeholder button { border: 1px solid #3a4464; background: #1a2030; color: #eaeef6; border-radius: 6px; padding: 3px 8px; font-size: 12px; cursor: pointer; }
+
 #ffcp-picker-overlay { position: absolute; background: rgba(106,162,255, .18); border: 1px dashed #6aa2ff; z-index: 2147483646; pointer-events: none; display: none; }
 
 #ffcp-modal { position: fixed; inset: 0; background: rgba(0,0,0,.6); display: flex; align-items: center; justify-content: center; z-index: 2147483646; }
@@ -560,8 +3410,11 @@
       </div>
       <div id="ffcp-tabs">
         <button class="ffcp-tab-btn active" data-tab="main">Controls</button>
+        <button class="ffcp-tab-btn" data-tab="rules">Rules</button>
         <button class="ffcp-tab-btn" data-tab="log">Log</button>
         <button class="ffcp-tab-btn" data-tab="tools">Tools</button>
+        <button class="ffcp-tab-btn" data-tab="history">History</button>
+        <button class="ffcp-tab-btn" data-tab="stats">Stats</button>
       </div>
       <div id="ffcp-content">
         <!-- Main Controls -->
@@ -572,34 +3425,162 @@
             <label><input type="checkbox" data-state="dryRun"> Dry Run (collect targets only)</label>
             <label><input type="checkbox" data-state="protectFriends"> Protect Friends from Unfollow</label>
           </div>
+          <div class="ffcp-section">
+            <h4>Friend Protection</h4>
+            <div id="ffcp-friend-status" class="ffcp-hint"></div>
+            <label><input type="checkbox" data-state="friendHeuristic"> Fall back to text hints for sources not in the cache</label>
+            <div style="display:flex; gap:8px; flex-wrap:wrap;">
+              <button class="ffcp-btn" id="ffcp-crawl-friends">Open Friends List</button>
+              <button class="ffcp-btn" id="ffcp-export-friends">Export</button>
+              <button class="ffcp-btn danger" id="ffcp-clear-friends">Clear</button>
+            </div>
+            <details style="margin-top:8px;">
+              <summary>Import friends</summary>
+              <textarea id="ffcp-friends-import" rows="3" placeholder="One per line: profile URL, or Name, URL. JSON exports (ours or Facebook's data download) also work."></textarea>
+              <button class="ffcp-btn" id="ffcp-import-friends" style="margin-top:6px;">Import</button>
+            </details>
+          </div>
+          <div class="ffcp-section">
+            <h4>Unfollow Safety</h4>
+            <div class="ffcp-num-grid">
+              <label>Per minute <input type="number" min="0" data-limit="perMinute"></label>
+              <label>Per hour <input type="number" min="0" data-limit="perHour"></label>
+              <label>Per day <input type="number" min="0" data-limit="perDay"></label>
+              <label>Pause after N errors <input type="number" min="0" data-num="breakerThreshold"></label>
+              <label>Pause for (min) <input type="number" min="1" data-num="breakerCooldownMin"></label>
+            </div>
+            <p class="ffcp-hint">0 disables a limit. Delays between steps are randomised.</p>
+            <div id="ffcp-governor-status" class="ffcp-hint"></div>
+          </div>
           <div class="ffcp-section">
             <h4>Content to Match</h4>
+            <p class="ffcp-hint" id="ffcp-route-note" style="display:none;"></p>
             <label><input type="checkbox" data-state="hideSponsored"> Sponsored</label>
             <label><input type="checkbox" data-state="hideSuggested"> Suggested</label>
+            <label><input type="checkbox" data-state="learnedFilter"> Learned filter (trained in the Rules tab)</label>
+            <label><input type="checkbox" data-state="hideDuplicates"> Duplicates / already seen</label>
+            <details>
+              <summary>Duplicate detection</summary>
+              <div class="ffcp-num-grid">
+                <label>Text similarity (%) <input type="number" min="50" max="100" data-num="duplicateThreshold"></label>
+                <label>Remember for (hours) <input type="number" min="1" data-num="duplicateWindowHours"></label>
+              </div>
+              <label>Duplicates are <select id="ffcp-duplicate-action">
+                <option value="collapse">Collapsed</option>
+                <option value="hide">Hidden</option>
+              </select></label>
+              <p class="ffcp-hint">Posts with the same link or image, or text this similar to one seen within the window, count as duplicates.</p>
+              <div class="ffcp-hint" id="ffcp-seen-status"></div>
+              <button class="ffcp-btn danger" id="ffcp-clear-seen">Forget seen posts</button>
+            </details>
+            <details>
+              <summary>Feed unit types</summary>
+              ${Object.entries(FEED_UNITS).map(([id, u]) => `<label><input type="checkbox" data-unit="${id}"> ${u.label}</label>`).join('')}
+            </details>
             <label for="ffcp-keywords">Keywords (comma-separated)</label>
-            <textarea id="ffcp-keywords" rows="2" placeholder="giveaway, raffle, win a"></textarea>
+            <textarea id="ffcp-keywords" rows="2" placeholder='giveaway, "win a", /free\\s+iphone/i, -name:"NASA"'></textarea>
+            <p class="ffcp-hint" id="ffcp-keywords-status">word = whole word, win* = wildcard, "phrase", /regex/flags, -term = exclude. Prefix body:, name: or all: to set the scope.</p>
+            <label for="ffcp-domain-block">Blocked link domains</label>
+            <textarea id="ffcp-domain-block" data-domains="domainBlocklist" rows="2" placeholder="clickbait.example, spam.example"></textarea>
+            <label for="ffcp-domain-allow">Allowed link domains (exceptions)</label>
+            <textarea id="ffcp-domain-allow" data-domains="domainAllowlist" rows="1" placeholder="news.spam.example"></textarea>
+            <p class="ffcp-hint">Subdomains match too. Facebook's l.php redirects are unwrapped first.</p>
+          </div>
+          <div class="ffcp-section">
+            <h4>Hidden Posts</h4>
+            <p class="ffcp-hint">Placeholder leaves a slim bar with Show once / Always allow / Why? and learned filter feedback. Remove hides the post completely.</p>
+            ${HIDE_MODE_REASONS().map(r => `
+              <label>${r} <select data-hide-mode="${r}">
+                <option value="placeholder">Placeholder</option>
+                <option value="full">Remove completely</option>
+              </select></label>
+            `).join('')}
           </div>
           <div class="ffcp-section">
             <h4>Automation & Display</h4>
             <label><input type="checkbox" data-state="autoScroll"> Auto-Scroll Feed</label>
+            <div id="ffcp-scroll-status" class="ffcp-hint"></div>
+            <details>
+              <summary>Auto-scroll stops after</summary>
+              <div class="ffcp-num-grid">
+                <label>Posts processed <input type="number" min="0" data-scroll-limit="posts"></label>
+                <label>Targets collected <input type="number" min="0" data-scroll-limit="targets"></label>
+                <label>Minutes <input type="number" min="0" data-scroll-limit="minutes"></label>
+                <label>Scrolls without new posts <input type="number" min="0" data-scroll-limit="idleScrolls"></label>
+              </div>
+              <p class="ffcp-hint">0 disables a condition. Scrolling pauses while the tab is hidden.</p>
+            </details>
             <label><input type="checkbox" data-state="logPosts"> Enable Logging</label>
             <label><input type="checkbox" data-state="highlightPosts"> Highlight Processed Posts</label>
           </div>
           <div class="ffcp-section">
             <h4>Whitelist</h4>
-            <textarea id="ffcp-whitelist" rows="2" placeholder="NASA, SpaceX, John Doe"></textarea>
+            <p class="ffcp-hint">Whitelisted sources are never hidden or unfollowed. Add a profile/page URL or ID, a /path with * wildcards, domain:example.com for shared links, or a display name.</p>
+            <div id="ffcp-whitelist-list"></div>
+            <div class="ffcp-cond">
+              <input type="text" id="ffcp-wl-input" placeholder="facebook.com/nasa, /groups/*, domain:nasa.gov">
+              <select id="ffcp-wl-type">${Object.entries(WHITELIST_TYPES).map(([k, v]) => `<option value="${k}">${v}</option>`).join('')}</select>
+              <button class="ffcp-btn" id="ffcp-wl-add">Add</button>
+            </div>
+          </div>
+          <div class="ffcp-section">
+            <h4>Language</h4>
+            <label>Detection language <select id="ffcp-locale"></select></label>
+            <details id="ffcp-phrases">
+              <summary>Edit phrases</summary>
+              <div id="ffcp-phrase-editor"></div>
+            </details>
           </div>
           <div id="ffcp-stats" class="ffcp-section"></div>
         </div>
 
+        <!-- Rules -->
+        <div id="ffcp-tab-rules" class="ffcp-tab-content" style="display:none;">
+          <div class="ffcp-section">
+            <h4>Rules</h4>
+            <p class="ffcp-hint">Checked top to bottom before the built-in categories. The first matching rule picks the action.</p>
+            <div id="ffcp-rules-list"></div>
+            <button class="ffcp-btn primary" id="ffcp-add-rule">Add Rule</button>
+          </div>
+          <div id="ffcp-rule-editor" class="ffcp-section" style="display:none;"></div>
+          <div class="ffcp-section">
+            <h4>Learned Ad Patterns</h4>
+            <p class="ffcp-hint">Added with "Mark as an ad the detector missed" in the element picker. Matching posts count as Sponsored.</p>
+            <div id="ffcp-ad-patterns"></div>
+          </div>
+          <div class="ffcp-section">
+            <h4>Learned Filter</h4>
+            <p class="ffcp-hint">Learns from "Hide more like this" / "Keep posts like this" in the element picker and on placeholder bars, on this device only. Posts scoring at or above the threshold are in the Learned category.</p>
+            <label>Junk score threshold (%) <input type="number" min="50" max="99" data-num="learnedThreshold"></label>
+            <div id="ffcp-classifier"></div>
+            <div style="display:flex; gap:8px; margin-top:8px;">
+              <button class="ffcp-btn" id="ffcp-export-classifier">Export Model</button>
+              <button class="ffcp-btn danger" id="ffcp-reset-classifier">Reset</button>
+            </div>
+          </div>
+          <div class="ffcp-section">
+            <h4>Route Profiles</h4>
+            <p class="ffcp-hint">Override categories, keywords and auto-unfollow per page type. A profile for one group wins over the Group profile.</p>
+            <p class="ffcp-hint" id="ffcp-route-status"></p>
+            <div id="ffcp-profiles"></div>
+          </div>
+        </div>
+
         <!-- Log -->
         <div id="ffcp-tab-log" class="ffcp-tab-content" style="display:none;">
           <div class="ffcp-section">
             <div style="display:flex; gap:8px;">
               <button class="ffcp-btn" id="ffcp-copy-log">Copy</button>
               <button class="ffcp-btn" id="ffcp-export-log">Export</button>
+              <button class="ffcp-btn" id="ffcp-csv-log">CSV</button>
               <button class="ffcp-btn danger" id="ffcp-clear-log">Clear</button>
             </div>
+            <label style="margin-top:8px;">Keep entries <input type="number" min="50" data-num="logMax"></label>
+            <label style="margin-top:8px;">Type <select id="ffcp-log-type">
+              <option value="">All types</option>
+              <option value="post">Post</option>
+              ${Object.entries(FEED_UNITS).map(([id, u]) => `<option value="${id}">${u.label}</option>`).join('')}
+            </select></label>
           </div>
           <div id="ffcp-log-container"></div>
         </div>
@@ -610,16 +3591,70 @@
             <button class="ffcp-btn primary" id="ffcp-scan-analysis">Scan Posts</button>
             <button class="ffcp-btn" id="ffcp-copy-analysis">Copy Analysis</button>
             <button class="ffcp-btn" id="ffcp-export-analysis">Export Analysis</button>
+            <button class="ffcp-btn" id="ffcp-csv-analysis">Analysis CSV</button>
+            <button class="ffcp-btn" id="ffcp-html-report">HTML Report</button>
             <button class="ffcp-btn" id="ffcp-start-picker">Element Picker</button>
           </div>
+          <div class="ffcp-section">
+            <h4>Diagnostics</h4>
+            <button class="ffcp-btn" id="ffcp-run-diagnostics">Check Selectors</button>
+            <div id="ffcp-diagnostics"></div>
+            <details style="margin-top:8px;">
+              <summary>Selector overrides</summary>
+              <p class="ffcp-hint">Tried in order; the first that matches wins. Edits replace the built-in list for that selector.</p>
+              <div id="ffcp-selector-editor"></div>
+              <button class="ffcp-btn danger" id="ffcp-reset-selectors">Reset all to defaults</button>
+            </details>
+          </div>
+          <div class="ffcp-section">
+            <h4>Settings</h4>
+            <div style="display:flex; gap:8px; flex-wrap:wrap;">
+              <button class="ffcp-btn" id="ffcp-export-settings">Export Settings</button>
+              <button class="ffcp-btn" id="ffcp-copy-settings">Copy Settings</button>
+              <button class="ffcp-btn" id="ffcp-import-settings">Import Settings</button>
+              <input type="file" id="ffcp-import-file" accept="application/json,.json" hidden>
+            </div>
+          </div>
+          <div class="ffcp-section">
+            <h4>Keyboard Shortcuts</h4>
+            <p class="ffcp-hint">Ignored while typing in a text box. Click a shortcut, then press the new keys (Backspace unbinds, Esc cancels).</p>
+            <div id="ffcp-shortcuts"></div>
+            <div style="display:flex; gap:8px; flex-wrap:wrap;">
+              <button class="ffcp-btn" id="ffcp-open-palette">Command Palette</button>
+              <button class="ffcp-btn danger" id="ffcp-reset-shortcuts">Reset Shortcuts</button>
+            </div>
+          </div>
           <div class="ffcp-section">
             <h4>Unfollow Batch</h4>
             <div style="display:flex; gap:8px; flex-wrap:wrap;">
               <button class="ffcp-btn" id="ffcp-dryrun-from-scan">Collect Targets (Dry Run)</button>
               <button class="ffcp-btn primary" id="ffcp-exec-unfollow">Execute Unfollow</button>
+              <button class="ffcp-btn" id="ffcp-exec-pages" title="Open each target's profile, page or group and unfollow from its header; survives reloads">Execute via Source Pages</button>
               <button class="ffcp-btn danger" id="ffcp-clear-targets">Clear Targets</button>
+              <button class="ffcp-btn" id="ffcp-csv-targets">Targets CSV</button>
             </div>
             <div style="margin-top:8px;color:var(--ffcp-dim);" id="ffcp-target-counts">0 pending / 0 executed</div>
+            <details id="ffcp-review" open>
+              <summary>Review targets</summary>
+              <p class="ffcp-hint">Only approved targets are executed. Approvals and rejections are remembered per source; rejected sources are not collected again.</p>
+              <div class="ffcp-review-bar">
+                <input type="text" id="ffcp-review-filter" placeholder="Filter name, link, reason, excerpt…">
+                <select id="ffcp-review-status">
+                  <option value="open">Pending + approved</option>
+                  <option value="pending">Pending</option>
+                  <option value="approved">Approved</option>
+                  <option value="rejected">Rejected</option>
+                </select>
+                <select id="ffcp-review-sort">
+                  <option value="newest">Newest</option>
+                  <option value="name">Name</option>
+                  <option value="reason">Reason</option>
+                  <option value="type">Type</option>
+                </select>
+              </div>
+              <div id="ffcp-review-list"></div>
+            </details>
+            <div id="ffcp-batch-status"></div>
           </div>
           <div id="ffcp-analysis-wrap">
             <table id="ffcp-analysis">
@@ -628,13 +3663,54 @@
             </table>
           </div>
         </div>
+
+        <!-- History -->
+        <div id="ffcp-tab-history" class="ffcp-tab-content" style="display:none;">
+          <div class="ffcp-section">
+            <h4>Unfollow History</h4>
+            <input type="text" id="ffcp-history-search" placeholder="Search name, link, reason, excerpt…" style="width:100%; margin-bottom:8px;">
+            <div style="display:flex; gap:8px; flex-wrap:wrap;">
+              <button class="ffcp-btn" id="ffcp-export-history">Export</button>
+              <button class="ffcp-btn" id="ffcp-csv-history">CSV</button>
+              <button class="ffcp-btn primary" id="ffcp-refollow">Refollow Selected</button>
+              <button class="ffcp-btn danger" id="ffcp-clear-history">Clear History</button>
+            </div>
+            <div id="ffcp-queue-status" class="ffcp-hint" style="margin-top:8px;"></div>
+          </div>
+          <div id="ffcp-history-list"></div>
+        </div>
+
+        <!-- Stats -->
+        <div id="ffcp-tab-stats" class="ffcp-tab-content" style="display:none;">
+          <div class="ffcp-section">
+            <h4>Daily Stats</h4>
+            <div style="display:flex; gap:8px; flex-wrap:wrap; align-items:center;">
+              <select id="ffcp-stats-range">
+                <option value="7">Last 7 days</option>
+                <option value="30" selected>Last 30 days</option>
+                <option value="90">Last 90 days</option>
+              </select>
+              <button class="ffcp-btn" id="ffcp-export-stats">Export</button>
+              <button class="ffcp-btn danger" id="ffcp-clear-stats">Clear</button>
+            </div>
+            <div id="ffcp-stats-dashboard"></div>
+            <label>Keep daily stats for (days) <input type="number" min="7" data-num="statsRetentionDays"></label>
+          </div>
+        </div>
       </div>
     `;
     document.body.appendChild(drawer);
 
     // Events
     drawer.addEventListener('change', onSettingChange);
+    drawer.addEventListener('input', (e) => {
+      if (e.target.id === 'ffcp-keywords') renderKeywordStatus(parseKeywords(e.target.value).errors);
+      if (e.target.id === 'ffcp-history-search') renderHistory();
+      if (e.target.id === 'ffcp-review-filter') renderReview();
+    });
     drawer.addEventListener('click', onDrawerClick);
+    // toggle does not bubble
+    qs('#ffcp-review', drawer).addEventListener('toggle', renderReview);
 
     return drawer;
   }
@@ -643,89 +3719,725 @@
     const fab = document.createElement('div');
     fab.id = 'ffcp-fab';
     fab.textContent = 'FFC';
-    fab.addEventListener('click', () => {
-      state.isPanelOpen = !state.isPanelOpen;
-      updateUIVisibility();
-    });
+    fab.addEventListener('click', toggleDrawer);
     document.body.appendChild(fab);
   }
 
-  function updateUIVisibility() {
-    const drawer = qs('#ffcp-drawer');
-    const fab = qs('#ffcp-fab');
-    if (!drawer || !fab) return;
-
-    if (state.elementPickerActive) {
-      drawer.classList.remove('open');
-      fab.classList.add('hidden');
-    } else {
-      drawer.classList.toggle('open', state.isPanelOpen);
-      fab.classList.toggle('hidden', state.isPanelOpen);
+  function toggleDrawer() {
+    state.isPanelOpen = !state.isPanelOpen;
+    if (state.isPanelOpen) renderGovernorStatus();
+    updateUIVisibility();
+  }
+
+  function updateUIVisibility() {
+    const drawer = qs('#ffcp-drawer');
+    const fab = qs('#ffcp-fab');
+    if (!drawer || !fab) return;
+
+    if (state.elementPickerActive) {
+      drawer.classList.remove('open');
+      fab.classList.add('hidden');
+    } else {
+      drawer.classList.toggle('open', state.isPanelOpen);
+      fab.classList.toggle('hidden', state.isPanelOpen);
+    }
+    if (!state.isPanelOpen || state.elementPickerActive) cancelShortcutRecording();
+  }
+
+  function onSettingChange(e) {
+    if (e.target.closest('#ffcp-rule-editor')) { onRuleDraftChange(e.target); return; }
+    if (e.target.closest('[data-profile]')) { onProfileChange(e.target); return; }
+    if (e.target.matches('[data-sel-input]')) { onSelectorInput(e.target); return; }
+    if (e.target.matches('[data-rule-toggle]')) {
+      const rule = state.rules.find(r => r.id === e.target.closest('[data-rule-id]').dataset.ruleId);
+      if (rule) { rule.enabled = e.target.checked; saveSettings(); }
+      return;
+    }
+    if (e.target.dataset.hideMode) {
+      state.hideModes[e.target.dataset.hideMode] = e.target.value;
+      saveSettings();
+      return;
+    }
+    if (e.target.type === 'checkbox') {
+      const key = e.target.dataset.state;
+      if (key in state) {
+        state[key] = e.target.checked;
+        if (key === 'autoScroll') toggleAutoScroll();
+        saveSettings();
+      }
+    }
+    if (e.target.dataset.domains) {
+      const list = [...new Set(e.target.value.split(/[\s,]+/).map(normalizeDomain).filter(Boolean))];
+      state[e.target.dataset.domains] = list;
+      e.target.value = list.join(', ');
+      saveSettings();
+      return;
+    }
+    if (e.target.id === 'ffcp-keywords') {
+      const { entries, errors } = parseKeywords(e.target.value);
+      state.keywordList = entries;
+      renderKeywordStatus(errors);
+      saveSettings();
+    }
+    if (e.target.id === 'ffcp-log-type') { updateLogPanel(); return; }
+    if (e.target.id === 'ffcp-duplicate-action') { state.duplicateAction = e.target.value; saveSettings(); return; }
+    if (e.target.id === 'ffcp-stats-range') { renderDailyStats(); return; }
+    if (e.target.id === 'ffcp-review-status' || e.target.id === 'ffcp-review-sort') { renderReview(); return; }
+    if (e.target.id === 'ffcp-import-file') {
+      const file = e.target.files?.[0];
+      if (file) previewSettingsImport(file);
+      e.target.value = '';
+      return;
+    }
+    if (e.target.dataset.scrollLimit) {
+      state.autoScrollLimits = { ...state.autoScrollLimits, [e.target.dataset.scrollLimit]: Math.max(0, parseInt(e.target.value, 10) || 0) };
+      saveSettings();
+      return;
+    }
+    if (e.target.dataset.limit) {
+      state.unfollowLimits = { ...state.unfollowLimits, [e.target.dataset.limit]: Math.max(0, parseInt(e.target.value, 10) || 0) };
+      saveSettings();
+      renderGovernorStatus();
+      return;
+    }
+    if (e.target.dataset.num) {
+      state[e.target.dataset.num] = Math.min(+e.target.max || Infinity, Math.max(+e.target.min || 0, parseInt(e.target.value, 10) || 0));
+      e.target.value = state[e.target.dataset.num];
+      saveSettings();
+      if (e.target.dataset.num === 'statsRetentionDays') { DailyStats.prune(); renderDailyStats(); }
+      if (e.target.dataset.num === 'duplicateWindowHours') SeenPosts.save();
+      if (e.target.dataset.num === 'logMax') { saveLog(); updateLogPanel(); }
+      renderGovernorStatus();
+      return;
+    }
+    if (e.target.dataset.unit) {
+      state.hideUnits[e.target.dataset.unit] = e.target.checked;
+      saveSettings();
+      return;
+    }
+    if (e.target.id === 'ffcp-locale') {
+      state.locale = e.target.value;
+      saveSettings();
+      renderLocaleControls();
+    }
+    if (e.target.dataset.phraseKey) {
+      const locale = activeLocale();
+      const list = e.target.value.split('\n').map(s => s.trim()).filter(Boolean);
+      state.localePhrases[locale] = { ...state.localePhrases[locale], [e.target.dataset.phraseKey]: list };
+      saveSettings();
+    }
+    if (e.target.matches('[data-wl-type]')) {
+      const entry = state.whitelist.find(w => w.id === e.target.closest('[data-wl-id]').dataset.wlId);
+      if (entry) { entry.type = e.target.value; saveSettings(); }
+    }
+  }
+
+  function onDrawerClick(e) {
+    const tabBtn = e.target.closest('.ffcp-tab-btn');
+    if (tabBtn) {
+      const tab = tabBtn.dataset.tab;
+      qsa('.ffcp-tab-btn').forEach(b => b.classList.toggle('active', b === tabBtn));
+      qsa('.ffcp-tab-content').forEach(c => c.style.display = 'none');
+      qs(`#ffcp-tab-${tab}`).style.display = 'block';
+      if (tab === 'stats') renderDailyStats();
+      return;
+    }
+
+    if (e.target.id === 'ffcp-close-btn') {
+      state.isPanelOpen = false; updateUIVisibility(); return;
+    }
+    if (e.target.id === 'ffcp-copy-log') {
+      copyJSON(state.loggedPostsData, 'log'); return;
+    }
+    if (e.target.id === 'ffcp-export-log') {
+      exportJSON(state.loggedPostsData, `ffcp-log-${new Date().toISOString()}.json`); return;
+    }
+    if (e.target.id === 'ffcp-csv-log') { exportCSV(state.loggedPostsData, 'log', 'ffcp-log.csv'); return; }
+    if (e.target.id === 'ffcp-clear-log') {
+      state.loggedPostsData = []; saveLog(); updateLogPanel(); toast('Log cleared', 'info', 1000); return;
+    }
+
+    if (e.target.id === 'ffcp-wl-add') {
+      const input = qs('#ffcp-wl-input');
+      const entry = parseWhitelistInput(input.value, qs('#ffcp-wl-type').value);
+      if (!entry) { toast('Enter a source URL, ID, pattern, domain: or name', 'error', 1800); return; }
+      const stored = addWhitelistEntry(entry);
+      input.value = '';
+      if (stored !== entry) toast(`Already whitelisted: ${stored.label}`, 'info', 1400);
+      return;
+    }
+    if (e.target.matches('[data-wl-remove]')) {
+      const id = e.target.closest('[data-wl-id]').dataset.wlId;
+      state.whitelist = state.whitelist.filter(w => w.id !== id);
+      saveSettings();
+      renderWhitelist();
+      return;
+    }
+
+    if (e.target.matches('[data-ad-remove]')) {
+      const id = e.target.closest('[data-ad-id]').dataset.adId;
+      state.adPatterns = state.adPatterns.filter(p => p.id !== id);
+      saveSettings();
+      renderAdPatterns();
+      return;
+    }
+
+    if (e.target.id === 'ffcp-clear-seen') {
+      if (!confirm('Forget all remembered posts? Reposts of them will no longer count as duplicates.')) return;
+      SeenPosts.clear();
+      toast('Seen posts forgotten', 'success', 1400);
+      return;
+    }
+    if (e.target.id === 'ffcp-export-classifier') { exportJSON(Classifier.model, 'ffcp-learned-filter.json'); return; }
+    if (e.target.id === 'ffcp-reset-classifier') {
+      if (!confirm('Forget everything the learned filter was taught?')) return;
+      Classifier.reset();
+      renderClassifier();
+      toast('Learned filter reset', 'success', 1400);
+      return;
+    }
+
+    if (e.target.matches('[data-pf-reset]')) {
+      delete state.routeProfiles[e.target.closest('[data-profile]').dataset.profile];
+      saveSettings();
+      renderRouteStatus();
+      return;
+    }
+
+    if (e.target.id === 'ffcp-export-stats') { DailyStats.save(); exportJSON(DailyStats.data, 'ffcp-daily-stats.json'); return; }
+    if (e.target.id === 'ffcp-clear-stats') {
+      if (!confirm('Clear all daily stats?')) return;
+      DailyStats.clear(); renderDailyStats(); toast('Daily stats cleared', 'info', 1000); return;
+    }
+
+    if (e.target.id === 'ffcp-run-diagnostics') { renderDiagnostics(); return; }
+    if (e.target.matches('[data-sel-act]')) {
+      const row = e.target.closest('[data-sel-idx]');
+      onSelectorAction(e.target.dataset.selAct, e.target.closest('[data-sel-key]').dataset.selKey, row ? +row.dataset.selIdx : -1);
+      return;
+    }
+    if (e.target.id === 'ffcp-reset-selectors') {
+      state.selectorOverrides = {};
+      applySelectorOverrides();
+      saveSettings();
+      renderSelectorEditor();
+      toast('Selectors reset to defaults', 'info', 1200);
+      return;
+    }
+
+    const ruleBtn = e.target.closest('[data-rule-act]');
+    if (ruleBtn) { onRuleAction(ruleBtn.dataset.ruleAct, ruleBtn.closest('[data-rule-id]').dataset.ruleId); return; }
+    if (e.target.id === 'ffcp-add-rule') { state.ruleDraft = newRule(); renderRuleEditor(); return; }
+    if (e.target.id === 'ffcp-add-cond') { state.ruleDraft.conditions.push({ field: 'text', op: 'contains', value: '', not: false }); renderRuleEditor(); return; }
+    if (e.target.matches('[data-cond-remove]')) { state.ruleDraft.conditions.splice(+e.target.closest('[data-cond]').dataset.cond, 1); renderRuleEditor(); return; }
+    if (e.target.id === 'ffcp-save-rule') { saveRuleDraft(); return; }
+    if (e.target.id === 'ffcp-cancel-rule') { state.ruleDraft = null; renderRuleEditor(); return; }
+
+    if (e.target.id === 'ffcp-reset-breaker') { Governor.reset(); return; }
+    if (e.target.id === 'ffcp-crawl-friends') {
+      if (FriendCrawler.isListPage()) FriendCrawler.start();
+      else location.assign('/friends/list');
+      return;
+    }
+    if (e.target.id === 'ffcp-export-friends') { exportJSON(Object.values(state.friends), 'ffcp-friends.json'); return; }
+    if (e.target.id === 'ffcp-clear-friends') {
+      if (!confirm('Clear the friend cache? Friend protection will fall back to text hints only.')) return;
+      state.friends = {}; saveFriends(); toast('Friend cache cleared', 'info', 1000); return;
+    }
+    if (e.target.id === 'ffcp-import-friends') {
+      const ta = qs('#ffcp-friends-import');
+      try {
+        const added = importFriends(ta.value);
+        ta.value = '';
+        toast(`Imported ${added} friend${added === 1 ? '' : 's'}`, 'success', 1400);
+      } catch (err) {
+        toast(`Import failed: ${err.message}`, 'error', 2400);
+      }
+      return;
+    }
+    if (e.target.id === 'ffcp-reset-phrases') {
+      delete state.localePhrases[activeLocale()];
+      saveSettings();
+      renderLocaleControls();
+      toast(`Phrases reset for ${activeLocale()}`, 'info', 1200);
+      return;
+    }
+
+    if (e.target.id === 'ffcp-start-picker') { ElementPicker.start(); return; }
+    if (e.target.id === 'ffcp-scan-analysis') { runAnalysis(); return; }
+    if (e.target.id === 'ffcp-copy-analysis') { copyJSON(state.analysis, 'analysis'); return; }
+    if (e.target.id === 'ffcp-export-analysis') { exportJSON(state.analysis, 'ffcp-analysis.json'); return; }
+    if (e.target.id === 'ffcp-csv-analysis') { exportCSV(state.analysis, 'analysis', 'ffcp-analysis.csv'); return; }
+    if (e.target.id === 'ffcp-csv-targets') { exportCSV(targetRows(), 'targets', 'ffcp-targets.csv'); return; }
+    if (e.target.id === 'ffcp-html-report') {
+      saveLog();
+      downloadFile(buildHtmlReport(), `ffcp-report-${dayKey()}.html`, 'text/html;charset=utf-8');
+      return;
+    }
+
+    if (e.target.id === 'ffcp-export-history') {
+      exportJSON(filteredLedger(), `ffcp-history-${new Date().toISOString()}.json`); return;
+    }
+    if (e.target.id === 'ffcp-csv-history') { exportCSV(filteredLedger(), 'history', 'ffcp-history.csv'); return; }
+    if (e.target.id === 'ffcp-refollow') { refollowSelected(); return; }
+    if (e.target.id === 'ffcp-cancel-queue') { SourceQueue.cancel(); return; }
+    if (e.target.id === 'ffcp-clear-history') {
+      if (!confirm('Delete the entire unfollow history? Already-unfollowed sources will no longer be skipped.')) return;
+      state.ledger = []; indexLedger(); saveLedger(); renderHistory(); toast('History cleared', 'info', 1000); return;
+    }
+
+    if (e.target.id === 'ffcp-export-settings') { exportJSON(settingsExport(), `ffcp-settings-v${SETTINGS_VERSION}.json`); return; }
+    if (e.target.id === 'ffcp-copy-settings') { copyJSON(settingsExport(), 'settings'); return; }
+    if (e.target.id === 'ffcp-import-settings') { qs('#ffcp-import-file').click(); return; }
+
+    if (e.target.id === 'ffcp-dryrun-from-scan') { collectTargetsFromAnalysis(); return; }
+    if (e.target.id === 'ffcp-exec-unfollow') { executeUnfollowBatch(); return; }
+    if (e.target.id === 'ffcp-exec-pages') { executeUnfollowViaPages(); return; }
+    if (e.target.matches('[data-shortcut-record]')) {
+      const id = e.target.closest('[data-shortcut-id]').dataset.shortcutId;
+      recordingShortcut = recordingShortcut === id ? null : id;
+      renderShortcuts();
+      return;
+    }
+    if (e.target.id === 'ffcp-reset-shortcuts') {
+      recordingShortcut = null;
+      state.shortcuts = { ...DEFAULT_SETTINGS.shortcuts };
+      saveSettings();
+      renderShortcuts();
+      return;
+    }
+    if (e.target.id === 'ffcp-open-palette') { CommandPalette.open(); return; }
+    if (e.target.id === 'ffcp-review-all') {
+      qsa('#ffcp-review-list [data-review-select]').forEach(cb => { cb.checked = e.target.checked; });
+      return;
+    }
+    if (e.target.matches('[data-review-act]')) {
+      reviewTargets([e.target.closest('[data-review-key]').dataset.reviewKey], e.target.dataset.reviewAct);
+      return;
+    }
+    if (e.target.matches('[data-review-bulk]')) {
+      const boxes = qsa('#ffcp-review-list [data-review-select]:checked');
+      if (!boxes.length) { toast('Select targets first', 'info', 1200); return; }
+      // Unticked first so the re-render after the action starts with a clean selection
+      boxes.forEach(cb => { cb.checked = false; });
+      reviewTargets(boxes.map(cb => cb.closest('[data-review-key]').dataset.reviewKey), e.target.dataset.reviewBulk);
+      return;
+    }
+    if (e.target.id === 'ffcp-cancel-batch') { cancelUnfollowBatch(); return; }
+    if (e.target.id === 'ffcp-clear-batch') { saveJSON(CONFIG.unfollowBatchKey, { startedAt: null, results: [] }); renderBatchStatus(); return; }
+    if (e.target.id === 'ffcp-clear-targets') { state.pendingTargets = []; state.executedTargets = []; updateUnfollowCounts(); toast('Targets cleared', 'info', 1000); return; }
+  }
+
+  function renderKeywordStatus(errors) {
+    const el = qs('#ffcp-keywords-status');
+    if (!el) return;
+    const count = state.keywordList.length;
+    el.style.color = errors.length ? 'var(--ffcp-danger)' : '';
+    el.textContent = errors.length
+      ? `Syntax error — ${errors.join('; ')}`
+      : `${count} keyword term${count === 1 ? '' : 's'} active`;
+  }
+
+  function renderFriendStatus() {
+    const el = qs('#ffcp-friend-status');
+    if (!el) return;
+    const all = Object.values(state.friends);
+    const nameOnly = all.filter(f => !f.link).length;
+    el.textContent = all.length
+      ? `${all.length} friends cached${nameOnly ? ` (${nameOnly} by name only)` : ''}. Cached friends are checked first.`
+      : 'No friends cached: open your Friends list and scroll it, or import a list. Until then only text hints are used.';
+  }
+
+  function renderGovernorStatus() {
+    const el = qs('#ffcp-governor-status');
+    if (!el) return;
+    const usage = Governor.usage();
+    const used = Object.keys(LIMIT_WINDOWS)
+      .map(k => `${usage[k].length}/${state.unfollowLimits[k] || '∞'} ${k.replace('per', '').toLowerCase()}`).join(' · ');
+    const { cooldownUntil, trippedReason, consecutiveErrors } = Governor.data;
+    const cooling = cooldownUntil > Date.now();
+    el.innerHTML = `
+      <div>Used: ${used}</div>
+      <div>Errors in a row: ${consecutiveErrors}${state.breakerThreshold ? ` of ${state.breakerThreshold}` : ''}</div>
+      ${cooling ? `
+        <div style="color:var(--ffcp-danger)"><strong>Cooldown until ${escapeHtml(new Date(cooldownUntil).toLocaleString())}</strong> — ${escapeHtml(trippedReason)}</div>
+        <button class="ffcp-btn danger" id="ffcp-reset-breaker" style="margin-top:6px;">Reset breaker</button>
+      ` : ''}
+    `;
+  }
+
+  function renderLocaleControls() {
+    const select = qs('#ffcp-locale');
+    const editor = qs('#ffcp-phrase-editor');
+    if (!select || !editor) return;
+    const codes = [...new Set([...Object.keys(LOCALE_PACKS), ...Object.keys(state.localePhrases), detectedLocale()])];
+    select.innerHTML = [
+      `<option value="auto">Auto (page language: ${escapeHtml(detectedLocale())})</option>`,
+      ...codes.map(c => `<option value="${escapeHtml(c)}">${escapeHtml(LOCALE_PACKS[c]?.label || c)}</option>`)
+    ].join('');
+    select.value = state.locale || 'auto';
+
+    const locale = activeLocale();
+    const edited = !!state.localePhrases[locale];
+    editor.innerHTML = `
+      <p class="ffcp-hint">Editing <strong>${escapeHtml(LOCALE_PACKS[locale]?.label || locale)}</strong>${LOCALE_PACKS[locale] ? '' : ' (no built-in pack)'}. One phrase per line. English phrases are always checked too.</p>
+      ${Object.entries(PHRASE_KEYS).map(([key, label]) => `
+        <label>${escapeHtml(label)}
+          <textarea rows="2" data-phrase-key="${key}">${escapeHtml(localePhrases(locale, key).join('\n'))}</textarea>
+        </label>
+      `).join('')}
+      ${edited ? '<button class="ffcp-btn danger" id="ffcp-reset-phrases">Reset to built-in phrases</button>' : ''}
+    `;
+  }
+
+  function renderWhitelist() {
+    const list = qs('#ffcp-whitelist-list');
+    if (!list) return;
+    if (!state.whitelist.length) { list.innerHTML = '<div style="color:var(--ffcp-dim)">No whitelisted sources</div>'; return; }
+    list.innerHTML = state.whitelist.map(w => `
+      <div class="ffcp-cond ffcp-wl-entry" data-wl-id="${escapeHtml(w.id)}">
+        <span title="${escapeHtml(w.key)}"><strong>${escapeHtml(w.label || w.key)}</strong>
+          <small>${escapeHtml(WHITELIST_KINDS[w.kind] || w.kind)}${w.kind !== 'name' && w.label !== w.key ? ` · ${escapeHtml(w.key)}` : ''}</small></span>
+        <select data-wl-type>${Object.entries(WHITELIST_TYPES).map(([k, v]) => `<option value="${k}"${k === w.type ? ' selected' : ''}>${v}</option>`).join('')}</select>
+        <button class="ffcp-btn danger" data-wl-remove title="Remove">✕</button>
+      </div>
+    `).join('');
+  }
+
+  function renderAdPatterns() {
+    const list = qs('#ffcp-ad-patterns');
+    if (!list) return;
+    if (!state.adPatterns.length) { list.innerHTML = '<div style="color:var(--ffcp-dim)">No learned ad patterns</div>'; return; }
+    list.innerHTML = state.adPatterns.map(p => {
+      const f = p.features;
+      const parts = [
+        f.subtitle && !f.hasTimestamp ? `subtitle "${f.subtitle}"` : '',
+        f.ariaLabels.length ? `aria ${f.ariaLabels.join(', ')}` : '',
+        f.domains.length ? `domains ${f.domains.join(', ')}` : ''
+      ].filter(Boolean);
+      return `
+        <div class="ffcp-cond ffcp-wl-entry" data-ad-id="${escapeHtml(p.id)}">
+          <span><strong>${escapeHtml(p.name || 'Unknown source')}</strong>
+            <small>${escapeHtml(new Date(p.addedAt).toLocaleDateString())} · ${escapeHtml(parts.join(' · '))}</small></span>
+          <button class="ffcp-btn danger" data-ad-remove title="Remove">✕</button>
+        </div>
+      `;
+    }).join('');
+  }
+
+  function renderSeenStatus() {
+    const el = qs('#ffcp-seen-status');
+    if (!el) return;
+    const { entries } = SeenPosts;
+    el.textContent = entries.length
+      ? `${entries.length} post${entries.length === 1 ? '' : 's'} remembered since ${new Date(entries[0].ts).toLocaleString()}`
+      : 'No posts remembered yet';
+  }
+
+  function renderClassifier() {
+    const box = qs('#ffcp-classifier');
+    if (!box) return;
+    const { docs } = Classifier.model;
+    const min = CONFIG.classifierMinDocs;
+    const status = Classifier.ready()
+      ? 'Scoring posts'
+      : `Needs ${min} hide and ${min} keep examples before it scores posts`;
+    const column = (label, title) => {
+      const top = Classifier.topTerms(label);
+      return `<div><strong>${title}</strong>${top.length
+        ? `<ol>${top.map(t => `<li title="hide ${t.hide} · keep ${t.keep}">${escapeHtml(t.term)} <small>${t.weight.toFixed(1)}</small></li>`).join('')}</ol>`
+        : '<div style="color:var(--ffcp-dim)">No terms yet</div>'}</div>`;
+    };
+    box.innerHTML = `
+      <p class="ffcp-hint">${status} · ${docs.hide} hide / ${docs.keep} keep examples · ${Classifier.vocab} terms</p>
+      <div class="ffcp-classifier-terms">${column('hide', 'Points to hide')}${column('keep', 'Points to keep')}</div>
+    `;
+  }
+
+  function renderShortcuts() {
+    const list = qs('#ffcp-shortcuts');
+    if (!list) return;
+    list.innerHTML = Object.entries(SHORTCUT_ACTIONS).map(([id, action]) => `
+      <div class="ffcp-cond ffcp-wl-entry" data-shortcut-id="${id}">
+        <span>${escapeHtml(action.label)}</span>
+        <button class="ffcp-btn${recordingShortcut === id ? ' primary' : ''}" data-shortcut-record>${recordingShortcut === id ? 'Press keys…' : escapeHtml(shortcutFor(id) || 'Unbound')}</button>
+      </div>
+    `).join('');
+    recordButton()?.focus();
+  }
+
+  function renderRules() {
+    const list = qs('#ffcp-rules-list');
+    if (!list) return;
+    if (!state.rules.length) { list.innerHTML = '<div style="color:var(--ffcp-dim)">No rules yet</div>'; return; }
+    list.innerHTML = state.rules.map((r, i) => `
+      <div class="ffcp-rule" data-rule-id="${escapeHtml(r.id)}">
+        <label><input type="checkbox" data-rule-toggle ${r.enabled ? 'checked' : ''}><strong>${i + 1}. ${escapeHtml(r.name)}</strong></label>
+        <small>${escapeHtml(describeRule(r))}</small>
+        <div class="ffcp-rule-btns">
+          <button class="ffcp-btn" data-rule-act="up" title="Move up">↑</button>
+          <button class="ffcp-btn" data-rule-act="down" title="Move down">↓</button>
+          <button class="ffcp-btn" data-rule-act="edit">Edit</button>
+          <button class="ffcp-btn danger" data-rule-act="delete">Delete</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  function renderRuleEditor() {
+    const editor = qs('#ffcp-rule-editor');
+    if (!editor) return;
+    const d = state.ruleDraft;
+    if (!d) { editor.style.display = 'none'; editor.innerHTML = ''; return; }
+    const opt = (value, label, selected) => `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+    const valueInput = (c) => {
+      const values = RULE_FIELDS[c.field]?.values;
+      return values
+        ? `<select data-cond-key="value">${values.map(v => opt(v, v, c.value)).join('')}</select>`
+        : `<input type="text" data-cond-key="value" value="${escapeHtml(c.value)}" placeholder="${c.op === 'matches' ? 'regular expression' : 'value'}">`;
+    };
+    editor.style.display = 'block';
+    editor.innerHTML = `
+      <h4>${state.rules.some(r => r.id === d.id) ? 'Edit Rule' : 'New Rule'}</h4>
+      <label>Name <input type="text" data-draft="name" value="${escapeHtml(d.name)}"></label>
+      <label>Match <select data-draft="match">${opt('all', 'ALL conditions (AND)', d.match)}${opt('any', 'ANY condition (OR)', d.match)}</select></label>
+      ${d.conditions.map((c, i) => `
+        <div class="ffcp-cond" data-cond="${i}">
+          <label class="ffcp-inline"><input type="checkbox" data-cond-key="not" ${c.not ? 'checked' : ''}>NOT</label>
+          <select data-cond-key="field">${Object.entries(RULE_FIELDS).map(([k, f]) => opt(k, f.label, c.field)).join('')}</select>
+          <select data-cond-key="op">${RULE_FIELDS[c.field].ops.map(o => opt(o, o, c.op)).join('')}</select>
+          ${valueInput(c)}
+          <button class="ffcp-btn" data-cond-remove title="Remove condition">×</button>
+        </div>
+      `).join('')}
+      <button class="ffcp-btn" id="ffcp-add-cond">Add Condition</button>
+      <label>Action <select data-draft="action">${Object.entries(RULE_ACTIONS).map(([k, l]) => opt(k, l, d.action)).join('')}</select></label>
+      <label>Hidden posts <select data-draft="hideMode">${opt('placeholder', 'Placeholder', d.hideMode || 'placeholder')}${opt('full', 'Remove completely', d.hideMode)}</select></label>
+      <div style="display:flex; gap:8px;">
+        <button class="ffcp-btn primary" id="ffcp-save-rule">Save Rule</button>
+        <button class="ffcp-btn" id="ffcp-cancel-rule">Cancel</button>
+      </div>
+    `;
+  }
+
+  function profileKeys() {
+    const keys = [...Object.keys(ROUTES), ...Object.keys(state.routeProfiles).filter(k => k.startsWith('group:'))];
+    if (state.route?.group && !keys.includes(state.route.key)) keys.push(state.route.key);
+    return keys;
+  }
+
+  function profileLabel(key) {
+    return key.startsWith('group:') ? `Group ${key.slice(6)}` : ROUTES[key]?.label || key;
+  }
+
+  function renderRouteStatus() {
+    const profile = activeProfile();
+    const route = state.route;
+    const text = route
+      ? `Current page: ${route.label}${route.group ? ` (${route.group})` : ''}. ${profile ? `Profile "${profileLabel(profile.key)}" is active.` : 'No profile: global settings apply.'}`
+      : '';
+    const status = qs('#ffcp-route-status');
+    if (status) status.textContent = text;
+    const note = qs('#ffcp-route-note');
+    if (note) {
+      note.textContent = profile ? `Route profile "${profileLabel(profile.key)}" overrides some of these on this page (Rules tab).` : '';
+      note.style.display = profile ? '' : 'none';
+    }
+    renderProfiles();
+  }
+
+  function renderProfiles() {
+    const list = qs('#ffcp-profiles');
+    if (!list) return;
+    const open = new Set(qsa('details[data-profile][open]', list).map(d => d.dataset.profile));
+    const tri = (value, attrs) => `<select ${attrs}>
+      <option value="inherit"${value === undefined ? ' selected' : ''}>Inherit</option>
+      <option value="on"${value === true ? ' selected' : ''}>On</option>
+      <option value="off"${value === false ? ' selected' : ''}>Off</option>
+    </select>`;
+    list.innerHTML = profileKeys().map(key => {
+      const p = state.routeProfiles[key] || {};
+      const count = Object.keys(PROFILE_FLAGS).filter(f => f in p).length + Object.keys(p.hideUnits || {}).length + (p.keywordMode ? 1 : 0);
+      return `
+        <details data-profile="${escapeHtml(key)}"${open.has(key) ? ' open' : ''}>
+          <summary>${escapeHtml(profileLabel(key))}${key === state.route?.key ? ' (this page)' : ''} · ${count ? `${count} override${count === 1 ? '' : 's'}` : 'inherits global'}</summary>
+          <div class="ffcp-num-grid">
+            ${Object.entries(PROFILE_FLAGS).map(([f, label]) => `<label>${label} ${tri(p[f], `data-pf="${f}"`)}</label>`).join('')}
+            ${Object.entries(FEED_UNITS).map(([id, u]) => `<label>${u.label} ${tri(p.hideUnits?.[id], `data-pf-unit="${id}"`)}</label>`).join('')}
+          </div>
+          <label>Keywords <select data-pf="keywordMode">
+            <option value="inherit"${!p.keywordMode ? ' selected' : ''}>Inherit</option>
+            <option value="add"${p.keywordMode === 'add' ? ' selected' : ''}>Add to global</option>
+            <option value="replace"${p.keywordMode === 'replace' ? ' selected' : ''}>Replace global</option>
+          </select></label>
+          <textarea rows="2" data-pf="keywordList" placeholder="Same syntax as the global keywords">${escapeHtml((p.keywordList || []).join(', '))}</textarea>
+          ${count || p.keywordList?.length ? '<button class="ffcp-btn danger" data-pf-reset>Reset profile</button>' : ''}
+        </details>
+      `;
+    }).join('');
+  }
+
+  function onProfileChange(input) {
+    const key = input.closest('[data-profile]').dataset.profile;
+    const p = { ...state.routeProfiles[key] };
+    const tri = { on: true, off: false }[input.value];
+    if (input.dataset.pfUnit) {
+      p.hideUnits = { ...p.hideUnits };
+      if (tri === undefined) delete p.hideUnits[input.dataset.pfUnit];
+      else p.hideUnits[input.dataset.pfUnit] = tri;
+      if (!Object.keys(p.hideUnits).length) delete p.hideUnits;
+    } else if (input.dataset.pf === 'keywordMode') {
+      if (input.value === 'inherit') delete p.keywordMode;
+      else p.keywordMode = input.value;
+    } else if (input.dataset.pf === 'keywordList') {
+      const { entries, errors } = parseKeywords(input.value);
+      p.keywordList = entries;
+      if (errors.length) toast(`Keyword errors: ${errors.join('; ')}`, 'error', 3000);
+    } else if (input.dataset.pf) {
+      if (tri === undefined) delete p[input.dataset.pf];
+      else p[input.dataset.pf] = tri;
     }
+    if (Object.keys(p).length) state.routeProfiles[key] = p;
+    else delete state.routeProfiles[key];
+    saveSettings();
+    renderRouteStatus();
   }
 
-  function onSettingChange(e) {
-    if (e.target.type === 'checkbox') {
-      const key = e.target.dataset.state;
-      if (key in state) {
-        state[key] = e.target.checked;
-        if (key === 'autoScroll') toggleAutoScroll();
-        saveSettings();
-      }
+  function onRuleDraftChange(input) {
+    const d = state.ruleDraft;
+    if (!d) return;
+    if (input.dataset.draft) { d[input.dataset.draft] = input.value; return; }
+    const row = input.closest('[data-cond]');
+    const key = input.dataset.condKey;
+    if (!row || !key) return;
+    const cond = d.conditions[+row.dataset.cond];
+    cond[key] = input.type === 'checkbox' ? input.checked : input.value;
+    if (key === 'field') {
+      const field = RULE_FIELDS[cond.field];
+      cond.op = field.ops[0];
+      cond.value = field.values ? field.values[0] : '';
+      renderRuleEditor();
+    } else if (key === 'op') {
+      renderRuleEditor();
     }
-    if (e.target.id === 'ffcp-keywords') {
-      state.keywordList = e.target.value.split(',').map(s => s.trim()).filter(Boolean);
-      saveSettings();
+  }
+
+  function saveRuleDraft() {
+    const d = state.ruleDraft;
+    d.name = (d.name || '').trim();
+    if (!d.name) { toast('Rule needs a name', 'error', 1600); return; }
+    if (!d.conditions.length) { toast('Rule needs at least one condition', 'error', 1600); return; }
+    const badRegex = d.conditions.find(c => c.op === 'matches' && !compileRegex(c.value));
+    if (badRegex) { toast(`Invalid regular expression: ${badRegex.value}`, 'error', 2200); return; }
+
+    const idx = state.rules.findIndex(r => r.id === d.id);
+    if (idx >= 0) state.rules[idx] = d;
+    else state.rules.push(d);
+    state.ruleDraft = null;
+    saveSettings();
+    renderRules();
+    renderRuleEditor();
+    toast(`Rule saved: ${d.name}`, 'success', 1200);
+  }
+
+  function onRuleAction(action, id) {
+    const idx = state.rules.findIndex(r => r.id === id);
+    if (idx < 0) return;
+    if (action === 'edit') {
+      state.ruleDraft = JSON.parse(JSON.stringify(state.rules[idx]));
+      renderRuleEditor();
+      return;
     }
-    if (e.target.id === 'ffcp-whitelist') {
-      state.whitelist = e.target.value.split(',').map(s => s.trim()).filter(Boolean);
-      saveSettings();
+    if (action === 'delete') {
+      const [removed] = state.rules.splice(idx, 1);
+      toast(`Rule deleted: ${removed.name}`, 'info', 1200);
+    } else {
+      const to = action === 'up' ? idx - 1 : idx + 1;
+      if (to < 0 || to >= state.rules.length) return;
+      [state.rules[idx], state.rules[to]] = [state.rules[to], state.rules[idx]];
     }
+    saveSettings();
+    renderRules();
   }
 
-  function onDrawerClick(e) {
-    const tabBtn = e.target.closest('.ffcp-tab-btn');
-    if (tabBtn) {
-      const tab = tabBtn.dataset.tab;
-      qsa('.ffcp-tab-btn').forEach(b => b.classList.toggle('active', b === tabBtn));
-      qsa('.ffcp-tab-content').forEach(c => c.style.display = 'none');
-      qs(`#ffcp-tab-${tab}`).style.display = 'block';
+  function renderHistory() {
+    const list = qs('#ffcp-history-list');
+    if (!list) return;
+    const entries = filteredLedger();
+    if (!entries.length) {
+      list.innerHTML = `<div style="color:var(--ffcp-dim)">${state.ledger.length ? 'No matching entries' : 'No unfollows recorded yet'}</div>`;
       return;
     }
+    const status = (e) => {
+      if (!e.success) return `<span style="color:var(--ffcp-danger)">Failed: ${escapeHtml(e.error)}</span>`;
+      if (e.refollowedAt) return `<span style="color:var(--ffcp-success)">Refollowed ${escapeHtml(e.refollowedAt)}</span>`;
+      return `Unfollowed${e.refollowError ? ` <span style="color:var(--ffcp-danger)">(refollow failed: ${escapeHtml(e.refollowError)})</span>` : ''}`;
+    };
+    list.innerHTML = entries.slice(0, 200).map(e => `
+      <div class="ffcp-log-entry" data-reason="${e.success ? 'History' : 'Failed'}">
+        <label class="ffcp-inline"><input type="checkbox" data-ledger-select value="${escapeHtml(e.id)}" ${e.success && !e.refollowedAt ? '' : 'disabled'}>
+          <strong>${escapeHtml(e.name)}</strong></label> — ${status(e)}
+        <p><small>${escapeHtml(e.ts)} — ${escapeHtml(e.reason)} — <a href="${escapeHtml(e.link)}" target="_blank" rel="noopener">${escapeHtml(sourceKey(e.link))}</a></small></p>
+        <small>${escapeHtml(e.excerpt)}</small>
+      </div>
+    `).join('');
+  }
 
-    if (e.target.id === 'ffcp-close-btn') {
-      state.isPanelOpen = false; updateUIVisibility(); return;
-    }
-    if (e.target.id === 'ffcp-copy-log') {
-      copyJSON(state.loggedPostsData, 'log'); return;
-    }
-    if (e.target.id === 'ffcp-export-log') {
-      exportJSON(state.loggedPostsData, `ffcp-log-${new Date().toISOString()}.json`); return;
-    }
-    if (e.target.id === 'ffcp-clear-log') {
-      state.loggedPostsData = []; updateLogPanel(); toast('Log cleared', 'info', 1000); return;
-    }
+  function renderQueueStatus() {
+    const el = qs('#ffcp-queue-status');
+    if (!el) return;
+    const queue = SourceQueue.load();
+    el.innerHTML = queue.length
+      ? `${queue.length} queued: next ${escapeHtml(queue[0].kind)} ${escapeHtml(queue[0].name)} <button class="ffcp-btn danger" id="ffcp-cancel-queue">Cancel</button>`
+      : '';
+  }
 
-    if (e.target.id === 'ffcp-start-picker') { ElementPicker.start(); return; }
-    if (e.target.id === 'ffcp-scan-analysis') { runAnalysis(); return; }
-    if (e.target.id === 'ffcp-copy-analysis') { copyJSON(state.analysis, 'analysis'); return; }
-    if (e.target.id === 'ffcp-export-analysis') { exportJSON(state.analysis, 'ffcp-analysis.json'); return; }
+  const BATCH_STATUS_LABELS = { unfollowed: 'Unfollowed', failed: 'Failed', skipped: 'Skipped', queued: 'Queued' };
 
-    if (e.target.id === 'ffcp-dryrun-from-scan') { collectTargetsFromAnalysis(); return; }
-    if (e.target.id === 'ffcp-exec-unfollow') { executeUnfollowBatch(); return; }
-    if (e.target.id === 'ffcp-clear-targets') { state.pendingTargets = []; state.executedTargets = []; updateUnfollowCounts(); toast('Targets cleared', 'info', 1000); return; }
+  function renderBatchStatus() {
+    const el = qs('#ffcp-batch-status');
+    if (!el) return;
+    const batch = loadBatch();
+    const queued = SourceQueue.load().filter(j => j.kind === 'unfollow');
+    if (!batch.results.length && !queued.length) { el.innerHTML = ''; return; }
+    const count = (status) => batch.results.filter(r => r.status === status).length;
+    const done = batch.results.length;
+    const rows = [
+      ...batch.results.map(r => ({ ...r })),
+      ...queued.map(j => ({ name: j.name, link: j.link, status: 'queued', detail: j.navigated ? 'opening page' : '' }))
+    ];
+    el.innerHTML = `
+      <p class="ffcp-hint">Source pages: ${done} / ${done + queued.length} done · ${count('unfollowed')} unfollowed · ${count('failed')} failed · ${count('skipped')} skipped${queued.length ? ` · ${queued.length} queued` : ''}</p>
+      <div style="display:flex; gap:8px; flex-wrap:wrap;">
+        ${queued.length ? '<button class="ffcp-btn danger" id="ffcp-cancel-batch">Cancel Batch</button>' : '<button class="ffcp-btn" id="ffcp-clear-batch">Clear Results</button>'}
+      </div>
+      <div class="ffcp-batch-list">
+        ${rows.map(r => `
+          <div class="ffcp-batch-row" data-status="${r.status}">
+            <a href="${escapeHtml(r.link)}" target="_blank" rel="noopener">${escapeHtml(r.name)}</a>
+            <span>${BATCH_STATUS_LABELS[r.status]}${r.detail ? `: ${escapeHtml(r.detail)}` : ''}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
   }
 
   function updateLogPanel() {
     const container = qs('#ffcp-log-container');
     if (!container) return;
     if (!state.logPosts) { container.innerHTML = '<div style="color:var(--ffcp-dim)">Logging disabled</div>'; return; }
-    container.innerHTML = state.loggedPostsData.map(log => `
+    const typeFilter = qs('#ffcp-log-type')?.value || '';
+    const entries = typeFilter ? state.loggedPostsData.filter(l => (l.type || 'post') === typeFilter) : state.loggedPostsData;
+    const more = entries.length - CONFIG.logRenderMax;
+    container.innerHTML = entries.slice(0, CONFIG.logRenderMax).map(log => `
       <div class="ffcp-log-entry" data-reason="${(log.reason || '').split(' ')[0]}">
-        <p><strong>${log.reason}</strong> — ${escapeHtml(log.actorName)}</p>
+        <p><strong>${escapeHtml(log.reason)}</strong> — ${escapeHtml(log.actorName)}${log.reason !== unitLabel(log.type) ? ` <small>[${escapeHtml(unitLabel(log.type))}]</small>` : ''}</p>
+        ${log.keyword ? `<small>Keyword: ${escapeHtml(log.keyword)}</small><br>` : ''}
+        ${log.domains?.length ? `<small>Links to: ${escapeHtml(log.domains.join(', '))}</small><br>` : ''}
+        ${log.rule ? `<small>Rule fired: ${escapeHtml(log.rule)} → ${escapeHtml(actionLabel(log.action))}</small><br>` : ''}
         <small>${escapeHtml(log.ts)} — ${escapeHtml(log.excerpt)}</small>
       </div>
-    `).join('');
+    `).join('') + (more > 0 ? `<div class="ffcp-hint">${more} older entries not shown; Export / CSV include them.</div>` : '');
   }
 
   function escapeHtml(s) {
@@ -735,37 +4447,144 @@
   function updateStats() {
     const el = qs('#ffcp-stats');
     if (!el) return;
+    const perf = Scanner.summary();
     el.innerHTML = `
       <h4>Session Stats</h4>
       <p>Processed: ${state.stats.processed} | Unfollowed: ${state.stats.unfollowed}</p>
       <p>Hidden: ${state.stats.hidden} | Friends Protected: ${state.stats.protected}</p>
       <p>Errors: ${state.stats.errors}</p>
+      <p>Scan: ${perf.perSec.toFixed(1)} posts/s · ${perf.avgMs.toFixed(1)} ms/post avg${perf.queued ? ` · ${perf.queued} queued` : ''}</p>
+      ${Object.keys(state.stats.byType).length ? `<p>Matched by type: ${Object.entries(state.stats.byType)
+        .sort((a, b) => b[1] - a[1])
+        .map(([type, n]) => `${escapeHtml(unitLabel(type))} ${n}`).join(' · ')}</p>` : ''}
+    `;
+    if (qs('#ffcp-tab-stats')?.style.display === 'block') renderDailyStats();
+  }
+
+  function renderDailyStats() {
+    const el = qs('#ffcp-stats-dashboard');
+    if (!el) return;
+    const { days, totals, reasons, sources } = DailyStats.range(+(qs('#ffcp-stats-range')?.value || 30));
+    const w = 340, h = 120, pad = 14;
+    const max = Math.max(1, ...days.map(d => d.processed));
+    const slot = w / days.length;
+    const bar = (value) => Math.round((value / max) * (h - pad));
+    const chart = `
+      <svg class="ffcp-chart" viewBox="0 0 ${w} ${h}" preserveAspectRatio="none" role="img" aria-label="Processed and hidden posts per day">
+        ${days.map((d, i) => `
+          <g><title>${d.key}: ${d.processed} processed, ${d.hidden} hidden, ${d.unfollowed} unfollowed</title>
+            <rect x="${(i * slot + 1).toFixed(1)}" y="${h - pad - bar(d.processed)}" width="${Math.max(1, slot - 2).toFixed(1)}" height="${bar(d.processed)}" fill="#2a3146"></rect>
+            <rect x="${(i * slot + 1).toFixed(1)}" y="${h - pad - bar(d.hidden)}" width="${Math.max(1, slot - 2).toFixed(1)}" height="${bar(d.hidden)}" fill="var(--ffcp-accent)"></rect>
+            ${d.unfollowed ? `<circle cx="${(i * slot + slot / 2).toFixed(1)}" cy="${h - pad - bar(d.hidden) - 4}" r="2.5" fill="var(--ffcp-danger)"></circle>` : ''}
+          </g>`).join('')}
+        <text x="0" y="${h - 2}" font-size="9" fill="var(--ffcp-dim)">${days[0].key}</text>
+        <text x="${w}" y="${h - 2}" font-size="9" fill="var(--ffcp-dim)" text-anchor="end">${days[days.length - 1].key}</text>
+      </svg>`;
+    const reasonRows = Object.entries(reasons).sort((a, b) => b[1] - a[1]).slice(0, 8);
+    const sourceRows = Object.entries(sources).sort((a, b) => b[1].n - a[1].n).slice(0, 10);
+    el.innerHTML = `
+      <p>Processed ${totals.processed} · Hidden ${totals.hidden} · Unfollowed ${totals.unfollowed} · Protected ${totals.protected} · Errors ${totals.errors}</p>
+      ${chart}
+      <p class="ffcp-hint">Grey: processed · Blue: hidden · Red dot: unfollows that day.</p>
+      <h4>Hidden by reason</h4>
+      ${reasonRows.length ? `<table class="ffcp-table"><tbody>${reasonRows.map(([r, n]) => `<tr><td>${escapeHtml(r)}</td><td>${n}</td></tr>`).join('')}</tbody></table>` : '<div style="color:var(--ffcp-dim)">Nothing hidden in this range</div>'}
+      <h4>Top hidden sources</h4>
+      ${sourceRows.length ? `<table class="ffcp-table"><tbody>${sourceRows.map(([key, s], i) => `
+        <tr><td>${i + 1}.</td><td><a href="${escapeHtml(s.link)}" target="_blank" rel="noopener">${escapeHtml(s.name || key)}</a></td><td>${s.n}</td></tr>`).join('')}</tbody></table>` : '<div style="color:var(--ffcp-dim)">No sources yet</div>'}
     `;
   }
 
   function updateUnfollowCounts() {
     const el = qs('#ffcp-target-counts');
     if (!el) return;
-    el.textContent = `${state.pendingTargets.length} pending / ${state.executedTargets.length} executed`;
+    const approved = state.pendingTargets.filter(t => t.approved).length;
+    el.textContent = `${state.pendingTargets.length} pending (${approved} approved) / ${state.executedTargets.length} executed`;
+    renderReview();
+  }
+
+  // Pending targets plus remembered rejections, as rows for the review list
+  function reviewRows() {
+    const rows = state.pendingTargets.map(t => ({
+      key: sourceKey(t.source.link), name: t.source.name, link: t.source.link, type: t.source.type || 'other',
+      reason: t.reason, friend: t.source.isFriend ? friendCell(true, t.source.friendSource) : '',
+      excerpts: t.excerpts || [], status: t.approved ? 'approved' : 'pending', ts: t.addedAt || 0
+    }));
+    for (const [key, d] of Object.entries(state.reviewDecisions)) {
+      if (d.decision !== 'rejected') continue;
+      rows.push({ key, name: d.name, link: d.link, type: '', reason: d.reason, friend: '', excerpts: [], status: 'rejected', ts: Date.parse(d.ts) || 0 });
+    }
+    return rows;
+  }
+
+  const REVIEW_SORTS = {
+    newest: (a, b) => b.ts - a.ts,
+    name: (a, b) => a.name.localeCompare(b.name),
+    reason: (a, b) => a.reason.localeCompare(b.reason) || a.name.localeCompare(b.name),
+    type: (a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name)
+  };
+
+  // Re-rendered whenever a target is queued, so ticked rows stay ticked; nothing is drawn while collapsed
+  function renderReview() {
+    const list = qs('#ffcp-review-list');
+    if (!list || !qs('#ffcp-review')?.open) return;
+    const selected = new Set(qsa('[data-review-select]:checked', list).map(cb => cb.closest('[data-review-key]').dataset.reviewKey));
+    const view = qs('#ffcp-review-status')?.value || 'open';
+    const q = (qs('#ffcp-review-filter')?.value || '').trim().toLowerCase();
+    const rows = reviewRows()
+      .filter(r => (view === 'open' ? r.status !== 'rejected' : r.status === view))
+      .filter(r => !q || [r.name, r.link, r.reason, ...r.excerpts].some(v => (v || '').toLowerCase().includes(q)))
+      .sort(REVIEW_SORTS[qs('#ffcp-review-sort')?.value] || REVIEW_SORTS.newest);
+    if (!rows.length) {
+      list.innerHTML = `<div style="color:var(--ffcp-dim)">${view === 'rejected' ? 'No rejected sources' : 'No targets to review'}</div>`;
+      return;
+    }
+    const buttons = (status) => (status === 'rejected'
+      ? '<button class="ffcp-btn" data-review-act="restore">Restore</button>'
+      : `${status === 'approved' ? '<button class="ffcp-btn" data-review-act="unapprove">Unapprove</button>' : '<button class="ffcp-btn primary" data-review-act="approve">Approve</button>'}
+         <button class="ffcp-btn danger" data-review-act="reject">Reject</button>
+         <button class="ffcp-btn" data-review-act="whitelist">Whitelist</button>`);
+    list.innerHTML = `
+      <div class="ffcp-review-bar">
+        <label class="ffcp-inline"><input type="checkbox" id="ffcp-review-all"${rows.every(r => selected.has(r.key)) ? ' checked' : ''}> All ${rows.length} shown</label>
+        ${view === 'rejected'
+          ? '<button class="ffcp-btn" data-review-bulk="restore">Restore selected</button>'
+          : `<button class="ffcp-btn" data-review-bulk="approve">Approve selected</button>
+             <button class="ffcp-btn" data-review-bulk="reject">Reject selected</button>
+             <button class="ffcp-btn" data-review-bulk="whitelist">Whitelist selected</button>`}
+      </div>
+      ${rows.map(r => `
+        <div class="ffcp-log-entry ffcp-review-row" data-review-key="${escapeHtml(r.key)}" data-status="${r.status}">
+          <label class="ffcp-inline"><input type="checkbox" data-review-select${selected.has(r.key) ? ' checked' : ''}><strong>${escapeHtml(r.name)}</strong></label>
+          <small>${[r.status === 'approved' ? 'Approved' : r.status === 'rejected' ? 'Rejected' : 'Pending', r.type, r.reason, r.friend && `friend (${r.friend})`].filter(Boolean).map(escapeHtml).join(' · ')}
+            · <a href="${escapeHtml(r.link)}" target="_blank" rel="noopener">${escapeHtml(r.key)}</a></small>
+          ${r.excerpts.map(x => `<p><small>“${escapeHtml(x)}”</small></p>`).join('')}
+          <div class="ffcp-rule-btns">${buttons(r.status)}</div>
+        </div>
+      `).join('')}
+    `;
   }
 
   // -----------------------------
   // ANALYSIS & TARGET COLLECTION
   // -----------------------------
   function runAnalysis() {
-    const feeds = qsa(CONFIG.feedSelector);
     const rows = [];
-    for (const feed of feeds) {
-      const posts = qsa(CONFIG.postSelector, feed);
-      for (const post of posts) {
-        const reason = classify(post);
-        const actor = findActor(post);
-        rows.push({
-          source: { name: actor?.name || '', link: actor?.link || '', isFriend: !!actor?.isFriend },
-          reason: reason || 'None',
-          excerpt: clip(post.innerText, 260)
-        });
-      }
+    for (const post of feedUnits()) {
+      const ctx = postContext(post);
+      const match = classify(post, ctx);
+      const actor = ctx.actor;
+      rows.push({
+        source: { name: actor?.name || '', link: actor?.link || '', type: actor?.type || 'other', isFriend: !!actor?.isFriend, friendSource: actor?.friendSource || '' },
+        reason: match?.reason || 'None',
+        rule: match?.rule?.name || '',
+        action: match?.action || '',
+        keyword: match?.keyword || '',
+        domain: match?.domain || '',
+        domains: ctx.domains,
+        sponsored: ctx.sponsor.sponsored ? { confidence: ctx.sponsor.confidence, signal: ctx.sponsor.signal, detail: describeSponsor(ctx.sponsor) } : null,
+        unitType: ctx.unitType || 'post',
+        excerpt: clip(ctx.text, 260)
+      });
     }
     state.analysis = rows;
     renderAnalysisTable();
@@ -786,38 +4605,118 @@
       const tr = document.createElement('tr');
       tr.innerHTML = `
         <td>${escapeHtml(row.source.name || '(unknown)')}</td>
-        <td>${escapeHtml(row.reason)}</td>
-        <td>${row.source.isFriend ? 'Yes' : 'No'}</td>
+        <td>${escapeHtml(row.reason)}${row.unitType && row.unitType !== 'post' && row.reason !== unitLabel(row.unitType) ? ` <small>[${escapeHtml(unitLabel(row.unitType))}]</small>` : ''}${row.sponsored ? `<br><small style="color:var(--ffcp-dim)">Sponsored ${escapeHtml(row.sponsored.detail)}</small>` : ''}${row.keyword ? `<br><small style="color:var(--ffcp-dim)">“${escapeHtml(row.keyword)}”</small>` : ''}${row.domains?.length ? `<br><small style="color:var(--ffcp-dim)">Links to ${escapeHtml(row.domains.join(', '))}</small>` : ''}${row.action ? `<br><small style="color:var(--ffcp-dim)">→ ${escapeHtml(actionLabel(row.action))}</small>` : ''}</td>
+        <td>${row.source.isFriend ? `Yes <small style="color:var(--ffcp-dim)">(${escapeHtml(row.source.friendSource)})</small>` : 'No'}</td>
         <td>${escapeHtml(row.excerpt)}</td>
       `;
       tbody.appendChild(tr);
     }
   }
 
+  function loadReview() {
+    state.reviewDecisions = loadJSON(CONFIG.reviewKey, {});
+  }
+
+  function saveReview() {
+    saveJSON(CONFIG.reviewKey, state.reviewDecisions);
+  }
+
+  // Adds (or adds an excerpt to) the pending target for a source. A source the user rejected in the
+  // review list is never queued again; one they approved arrives approved.
+  function addPendingTarget(source, reason, excerpt = '') {
+    const key = sourceKey(source.link);
+    const decision = state.reviewDecisions[key]?.decision;
+    if (decision === 'rejected') return null;
+    let target = state.pendingTargets.find(t => sourceKey(t.source.link) === key);
+    if (!target) {
+      target = { source, reason, excerpts: [], approved: decision === 'approved', addedAt: Date.now(), dryRun: true };
+      state.pendingTargets.push(target);
+    }
+    if (excerpt && !target.excerpts.includes(excerpt) && target.excerpts.length < CONFIG.reviewExcerptsMax) target.excerpts.push(excerpt);
+    return target;
+  }
+
+  // Only posts that matched something are collected; rows are grouped by source, not by display name
   function collectTargetsFromAnalysis() {
     state.pendingTargets = [];
-    const seen = new Set();
     for (const row of state.analysis) {
-      const name = row.source.name;
-      if (!name || seen.has(name)) continue;
-      seen.add(name);
-      if (state.whitelist.includes(name)) continue;
+      if (row.reason === 'None' || !row.source.name || !row.source.link) continue;
+      if (whitelistMatch(row.source)) continue;
       if (state.protectFriends && row.source.isFriend) continue;
-      if (!row.source.link) continue;
-      state.pendingTargets.push({ source: row.source, reason: row.reason, dryRun: true });
+      if (ledgerHasUnfollowed(row.source.link)) continue;
+      addPendingTarget(row.source, row.reason, row.excerpt);
+    }
+    updateUnfollowCounts();
+    const approved = state.pendingTargets.filter(t => t.approved).length;
+    toast(`Collected ${state.pendingTargets.length} targets (dry-run)${approved ? `, ${approved} approved earlier` : ''}. Review them below.`, 'info', 2000);
+  }
+
+  function setReviewDecision(key, decision) {
+    const target = state.pendingTargets.find(t => sourceKey(t.source.link) === key);
+    const known = target?.source || state.reviewDecisions[key];
+    if (!known) return;
+    if (decision) {
+      state.reviewDecisions[key] = { decision, name: known.name, link: known.link, reason: target?.reason || known.reason || '', ts: new Date().toISOString() };
+    } else {
+      delete state.reviewDecisions[key];
+    }
+    if (target) target.approved = decision === 'approved';
+    if (decision === 'rejected') state.pendingTargets = state.pendingTargets.filter(t => t !== target);
+    saveReview();
+  }
+
+  // act: approve | unapprove | reject | restore (forget a rejection) | whitelist
+  function reviewTargets(keys, act) {
+    for (const key of keys) {
+      if (act === 'whitelist') {
+        const target = state.pendingTargets.find(t => sourceKey(t.source.link) === key);
+        if (!target) continue;
+        whitelistSource(target.source);
+        state.pendingTargets = state.pendingTargets.filter(t => t !== target);
+        setReviewDecision(key, null);
+      } else {
+        setReviewDecision(key, { approve: 'approved', reject: 'rejected' }[act] || null);
+      }
     }
     updateUnfollowCounts();
-    toast(`Collected ${state.pendingTargets.length} targets (dry-run)`, 'info', 1400);
+  }
+
+  // Unapproved targets stay pending; returns the approved ones, or null (with a toast) when none can run
+  function approvedTargets() {
+    if (!state.pendingTargets.length) { toast('No pending targets. Run Scan + Collect first.', 'info', 1600); return null; }
+    if (state.dryRun) { toast('Disable Dry Run to execute unfollow', 'error', 1600); return null; }
+    const approved = state.pendingTargets.filter(t => t.approved);
+    if (!approved.length) { toast('Approve targets in the review list first', 'info', 1800); return null; }
+    return approved;
   }
 
   async function executeUnfollowBatch() {
-    if (!state.pendingTargets.length) { toast('No pending targets. Run Scan + Collect first.', 'info', 1600); return; }
-    if (state.dryRun) { toast('Disable Dry Run to execute unfollow', 'error', 1600); return; }
+    const approved = approvedTargets();
+    if (!approved) return;
 
     let processed = 0;
-    // For each target, try to find a visible post from the same source and run unfollow
+    // For each target, try to find a visible post from the same source and run unfollow. Targets
+    // without one stay pending for Execute via Source Pages. state.pendingTargets keeps changing while the
+    // batch waits (new targets, review decisions), so only the unfollowed ones are taken out of it.
     const feeds = qsa(CONFIG.feedSelector);
-    for (const target of state.pendingTargets.slice()) {
+    const remaining = approved.slice();
+    const offScreen = [];
+    const done = new Set();
+    while (remaining.length) {
+      const blocked = Governor.check();
+      if (blocked) {
+        // Short per-minute waits are sat out; hour/day limits and the breaker end the batch
+        if (blocked.window === 'perMinute' && blocked.retryInMs <= 90000) {
+          toast(`Rate limit: waiting ${Math.ceil(blocked.retryInMs / 1000)}s`, 'info', 2000);
+          await sleep(blocked.retryInMs);
+          await humanDelay(1000);
+          continue;
+        }
+        Governor.notifyBlocked(blocked);
+        break;
+      }
+      const target = remaining.shift();
+      if (!target.approved || !state.pendingTargets.includes(target)) continue;
       let foundPost = null;
       outer: for (const feed of feeds) {
         for (const post of qsa(CONFIG.postSelector, feed)) {
@@ -826,18 +4725,231 @@
         }
       }
       if (!foundPost) {
-        state.executedTargets.push({ ...target, success: false, error: 'No matching post found on screen' });
+        offScreen.push(target);
         continue;
       }
-      await unfollowSourceOfPost(foundPost, target.reason, target.source);
+      await Scanner.exclusive(() => unfollowSourceOfPost(foundPost, target.reason, target.source));
+      done.add(target);
       processed++;
-      await sleep(220);
+      if (remaining.length) await humanDelay(CONFIG.unfollowGapMs);
     }
-    state.pendingTargets = [];
+    state.pendingTargets = state.pendingTargets.filter(t => !done.has(t));
     updateUnfollowCounts();
-    toast(`Executed unfollow on ${processed} targets`, 'success', 1500);
+    toast(`Executed unfollow on ${processed} targets${remaining.length ? `, ${remaining.length} still pending` : ''}${offScreen.length ? `, ${offScreen.length} without a post on screen (use Execute via Source Pages)` : ''}`, 'success', offScreen.length ? 4000 : 1500);
+  }
+
+  // -----------------------------
+  // SHORTCUTS & COMMAND PALETTE
+  // -----------------------------
+  // Bindings live in state.shortcuts as "Ctrl+Alt+Shift+Meta+Key" strings ('' = unbound). Keys are
+  // read from e.code where possible so Alt/Option combinations work on every keyboard layout.
+  const SHORTCUT_ACTIONS = {
+    toggleDrawer: { label: 'Toggle the drawer', run: () => toggleDrawer() },
+    palette: { label: 'Open the command palette', run: () => CommandPalette.open() },
+    picker: { label: 'Start the element picker', run: () => ElementPicker.start() },
+    hidePost: { label: 'Hide the post under the cursor (or the focused post)', run: () => hideTargetPost() },
+    whitelistPost: { label: 'Always allow the source of that post', run: () => whitelistTargetPost() },
+    autoScroll: { label: 'Toggle auto-scroll', run: () => toggleAutoScrollSetting() }
+  };
+
+  let hoveredPost = null;
+  let recordingShortcut = null;   // action id while the Tools tab is waiting for a new key combination
+
+  const shortcutFor = (id) => ({ ...DEFAULT_SETTINGS.shortcuts, ...state.shortcuts })[id] || '';
+  const recordButton = () => (recordingShortcut
+    ? qs(`#ffcp-shortcuts [data-shortcut-id="${recordingShortcut}"] [data-shortcut-record]`)
+    : null);
+
+  function cancelShortcutRecording() {
+    if (!recordingShortcut) return;
+    recordingShortcut = null;
+    renderShortcuts();
+  }
+
+  function comboFromEvent(e) {
+    if (['Control', 'Alt', 'Shift', 'Meta', 'AltGraph'].includes(e.key)) return '';
+    const key = /^Key[A-Z]$/.test(e.code) ? e.code.slice(3)
+      : /^Digit\d$/.test(e.code) ? e.code.slice(5)
+        : e.key.length === 1 ? e.key.toUpperCase() : e.key;
+    return [e.ctrlKey && 'Ctrl', e.altKey && 'Alt', e.shiftKey && 'Shift', e.metaKey && 'Meta', key].filter(Boolean).join('+');
+  }
+
+  // Facebook's composer, comment and chat boxes are contenteditable role="textbox" elements
+  function isTypingTarget(el) {
+    if (!el || el.nodeType !== 1) return false;
+    return el.isContentEditable
+      || el.matches('input, textarea, select')
+      || !!el.closest('[contenteditable=""], [contenteditable="true"], [role="textbox"], [role="combobox"], [role="searchbox"]');
+  }
+
+  function onShortcutKey(e) {
+    // Keys are recorded only while the binding button has focus; anywhere else the recording is dropped
+    if (recordingShortcut) {
+      if (document.activeElement === recordButton()) { recordShortcut(e); return; }
+      cancelShortcutRecording();
+    }
+    if (e.repeat || isTypingTarget(e.target) || isTypingTarget(document.activeElement)) return;
+    const combo = comboFromEvent(e);
+    if (!combo) return;
+    const id = Object.keys(SHORTCUT_ACTIONS).find(k => shortcutFor(k) === combo);
+    if (!id) return;
+    e.preventDefault();
+    e.stopPropagation();
+    SHORTCUT_ACTIONS[id].run();
+  }
+
+  function startShortcuts() {
+    document.addEventListener('keydown', onShortcutKey, true);
+    // Checked after the focus has moved: renderShortcuts() focuses the re-rendered binding button
+    document.addEventListener('focusout', () => setTimeout(() => {
+      if (recordingShortcut && document.activeElement !== recordButton()) cancelShortcutRecording();
+    }), true);
+    document.addEventListener('mouseover', (e) => {
+      hoveredPost = e.target.closest ? topLevelPost(e.target) : null;
+    }, { passive: true });
+  }
+
+  // Keyboard focus (Facebook's j / k navigation focuses posts) wins over the mouse position
+  function shortcutTargetPost() {
+    const focused = document.activeElement?.closest ? topLevelPost(document.activeElement) : null;
+    return focused || (hoveredPost?.isConnected ? hoveredPost : null);
+  }
+
+  function hideTargetPost() {
+    const post = shortcutTargetPost();
+    if (!post) { toast('No post under the cursor or focused', 'info', 1400); return; }
+    if (post.hasAttribute('data-ffcp-hidden-reason')) return;
+    hidePost(post, 'Hidden by shortcut', 'Manual');
+  }
+
+  function whitelistTargetPost() {
+    const post = shortcutTargetPost();
+    const actor = post && findActor(post);
+    if (!actor?.link) { toast(post ? 'No source found in this post' : 'No post under the cursor or focused', 'info', 1400); return; }
+    allowSource(actor);
+  }
+
+  function toggleAutoScrollSetting() {
+    state.autoScroll = !state.autoScroll;
+    toggleAutoScroll();
+    saveSettings();
+    qsa('#ffcp-drawer input[data-state="autoScroll"]').forEach(cb => { cb.checked = state.autoScroll; });
+    toast(`Auto-scroll ${state.autoScroll ? 'on' : 'off'}`, 'info', 1000);
+  }
+
+  function recordShortcut(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    const id = recordingShortcut;
+    if (e.key === 'Escape') { recordingShortcut = null; renderShortcuts(); return; }
+    const combo = ['Backspace', 'Delete'].includes(e.key) ? '' : comboFromEvent(e);
+    if (combo === '' && !['Backspace', 'Delete'].includes(e.key)) return;   // modifier only so far
+    recordingShortcut = null;
+    const taken = combo && Object.keys(SHORTCUT_ACTIONS).find(k => k !== id && shortcutFor(k) === combo);
+    state.shortcuts = { ...DEFAULT_SETTINGS.shortcuts, ...state.shortcuts, [id]: combo };
+    if (taken) {
+      state.shortcuts[taken] = '';
+      toast(`${combo} was bound to "${SHORTCUT_ACTIONS[taken].label}"; that shortcut is now unbound`, 'info', 2600);
+    }
+    saveSettings();
+    renderShortcuts();
+  }
+
+  function openDrawerTab(tab) {
+    state.isPanelOpen = true;
+    updateUIVisibility();
+    qs(`#ffcp-drawer .ffcp-tab-btn[data-tab="${tab}"]`)?.click();
+  }
+
+  // Built from the drawer itself so every button with an id and every setting checkbox is reachable,
+  // including controls added later, without a separate registry
+  function paletteCommands() {
+    const commands = Object.entries(SHORTCUT_ACTIONS)
+      .filter(([id]) => id !== 'palette')
+      .map(([id, action]) => ({ label: action.label, hint: shortcutFor(id), run: action.run }));
+    const tabOf = (el) => el.closest('.ffcp-tab-content')?.id.replace('ffcp-tab-', '') || null;
+    const tabLabel = (tab) => (tab ? qs(`#ffcp-drawer .ffcp-tab-btn[data-tab="${tab}"]`)?.textContent.trim() : 'Drawer');
+    for (const btn of qsa('#ffcp-drawer button[id]')) {
+      const text = btn.textContent.trim();
+      if (!text || btn.disabled || btn.classList.contains('ffcp-tab-btn')) continue;
+      const tab = tabOf(btn);
+      commands.push({ label: `${tabLabel(tab)} › ${text}`, hint: '', run: () => { if (tab) openDrawerTab(tab); btn.click(); } });
+    }
+    for (const cb of qsa('#ffcp-drawer input[type="checkbox"][data-state], #ffcp-drawer input[type="checkbox"][data-unit]')) {
+      const text = (cb.closest('label')?.textContent || cb.dataset.state || cb.dataset.unit).trim();
+      commands.push({ label: `Toggle: ${text}`, hint: cb.checked ? 'on' : 'off', run: () => cb.click() });
+    }
+    return commands;
   }
 
+  const CommandPalette = {
+    el: null,
+    commands: [],
+    shown: [],
+    selected: 0,
+
+    open() {
+      if (this.el) { this.close(); return; }
+      this.commands = paletteCommands();
+      this.el = document.createElement('div');
+      this.el.id = 'ffcp-palette';
+      this.el.innerHTML = `
+        <div id="ffcp-palette-box">
+          <input type="text" id="ffcp-palette-input" placeholder="Type a command…" autocomplete="off">
+          <div id="ffcp-palette-list"></div>
+        </div>
+      `;
+      document.body.appendChild(this.el);
+      const input = qs('#ffcp-palette-input');
+      input.addEventListener('input', () => { this.selected = 0; this.render(input.value); });
+      input.addEventListener('keydown', (e) => this.onKey(e));
+      this.el.addEventListener('click', (e) => {
+        if (e.target === this.el) { this.close(); return; }
+        const item = e.target.closest('[data-cmd]');
+        if (item) this.run(Number(item.dataset.cmd));
+      });
+      this.render('');
+      input.focus();
+    },
+
+    close() {
+      this.el?.remove();
+      this.el = null;
+    },
+
+    render(query) {
+      const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+      this.shown = this.commands.filter(c => words.every(w => c.label.toLowerCase().includes(w)));
+      this.selected = Math.min(this.selected, Math.max(0, this.shown.length - 1));
+      qs('#ffcp-palette-list').innerHTML = this.shown.length
+        ? this.shown.map((c, i) => `
+          <div class="ffcp-palette-item${i === this.selected ? ' active' : ''}" data-cmd="${i}">
+            <span>${escapeHtml(c.label)}</span>${c.hint ? `<kbd>${escapeHtml(c.hint)}</kbd>` : ''}
+          </div>`).join('')
+        : '<div class="ffcp-palette-item">No matching command</div>';
+      qs('#ffcp-palette-list .active')?.scrollIntoView?.({ block: 'nearest' });
+    },
+
+    onKey(e) {
+      e.stopPropagation();
+      if (e.key === 'Escape') { e.preventDefault(); this.close(); return; }
+      if (e.key === 'Enter') { e.preventDefault(); this.run(this.selected); return; }
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const n = this.shown.length;
+        if (n) this.selected = (this.selected + (e.key === 'ArrowDown' ? 1 : n - 1)) % n;
+        this.render(qs('#ffcp-palette-input').value);
+      }
+    },
+
+    run(index) {
+      const command = this.shown[index];
+      if (!command) return;
+      this.close();
+      command.run();
+    }
+  };
+
   // -----------------------------
   // MODAL
   // -----------------------------
@@ -859,46 +4971,381 @@
   // -----------------------------
   // PERSISTENCE & AUTOSCROLL
   // -----------------------------
+  // Each entry upgrades settings from version N to N + 1
+  const SETTINGS_MIGRATIONS = {
+    // v1: flat object under ffcp_settings_v42 (script 4.2). Same keys; v2 only adds the
+    // { version, settings } envelope. Missing keys keep their defaults when applied.
+    1: (s) => ({ ...s }),
+    // v2: whitelist was a list of display names. They become name entries (with ids derived from
+    // the name so re-importing an old file merges); Always allow / picker then store sources by identity.
+    2: (s) => {
+      if (!Array.isArray(s.whitelist)) return { ...s };
+      const whitelist = s.whitelist.filter(w => typeof w !== 'string' || w.trim()).map(w => {
+        if (typeof w !== 'string') return w;
+        const key = w.trim().toLowerCase();
+        return { ...whitelistEntry('name', key, w.trim()), id: `wname:${key}` };
+      });
+      return { ...s, whitelist };
+    }
+  };
+
+  function currentSettings() {
+    return Object.fromEntries(SETTINGS_KEYS.map(k => [k, state[k]]));
+  }
+
   function saveSettings() {
-    const s = {
-      autoUnfollow: state.autoUnfollow,
-      dryRun: state.dryRun,
-      protectFriends: state.protectFriends,
-      hideSponsored: state.hideSponsored,
-      hideSuggested: state.hideSuggested,
-      keywordList: state.keywordList,
-      autoScroll: state.autoScroll,
-      logPosts: state.logPosts,
-      highlightPosts: state.highlightPosts,
-      whitelist: state.whitelist
-    };
-    GM_setValue('ffcp_settings_v42', JSON.stringify(s));
+    saveJSON(CONFIG.settingsKey, { version: SETTINGS_VERSION, settings: currentSettings() });
+  }
+
+  function migrateSettings(version, settings) {
+    let s = settings;
+    for (let v = version; v < SETTINGS_VERSION; v++) {
+      if (!SETTINGS_MIGRATIONS[v]) throw new Error(`No migration from settings v${v}`);
+      s = SETTINGS_MIGRATIONS[v](s);
+    }
+    return s;
+  }
+
+  const isStringList = (v) => Array.isArray(v) && v.every(x => typeof x === 'string');
+
+  // Array settings whose items the detectors read field by field; items failing the check are dropped
+  const SETTINGS_ITEM_CHECKS = {
+    adPatterns: (p) => typeof p?.features?.subtitle === 'string' && typeof p.features.hasTimestamp === 'boolean'
+      && ['ariaLabels', 'buttons', 'domains'].every(k => isStringList(p.features[k]))
+  };
+
+  // Object settings read entry by entry; entries failing the check are dropped
+  const SETTINGS_ENTRY_CHECKS = {
+    selectorOverrides: (key, list) => key in SELECTOR_KEYS && isStringList(list)
+  };
+
+  // Keeps known keys whose type matches the default (minus malformed list items and entries);
+  // returns { settings, dropped }
+  function sanitizeSettings(raw) {
+    const settings = {};
+    const dropped = [];
+    for (const [key, value] of Object.entries(raw || {})) {
+      const def = DEFAULT_SETTINGS[key];
+      const ok = key in DEFAULT_SETTINGS
+        && (Array.isArray(def) ? Array.isArray(value) : typeof value === typeof def && value !== null && !Array.isArray(value));
+      if (!ok) { dropped.push(key); continue; }
+      let kept = value;
+      let malformed = 0;
+      if (SETTINGS_ITEM_CHECKS[key]) {
+        kept = value.filter(SETTINGS_ITEM_CHECKS[key]);
+        malformed = value.length - kept.length;
+      }
+      if (SETTINGS_ENTRY_CHECKS[key]) {
+        const entries = Object.entries(value).filter(([k, v]) => SETTINGS_ENTRY_CHECKS[key](k, v));
+        malformed = Object.keys(value).length - entries.length;
+        kept = Object.fromEntries(entries);
+      }
+      if (malformed) dropped.push(`${key} (${malformed} malformed)`);
+      settings[key] = kept;
+    }
+    return { settings, dropped };
+  }
+
+  function readStoredSettings() {
+    const current = loadJSON(CONFIG.settingsKey, null);
+    if (current?.settings) return migrateSettings(current.version || 1, current.settings);
+    for (const key of CONFIG.legacySettingsKeys) {
+      const legacy = loadJSON(key, null);
+      if (legacy) return migrateSettings(1, legacy);
+    }
+    return null;
   }
 
   function loadSettings() {
-    const saved = GM_getValue('ffcp_settings_v42', null);
-    if (saved) {
-      try { Object.assign(state, JSON.parse(saved)); } catch {}
+    try {
+      const stored = readStoredSettings();
+      if (stored) {
+        Object.assign(state, sanitizeSettings(stored).settings);
+        applySelectorOverrides();
+        saveSettings();
+      }
+    } catch (err) {
+      toast(`Settings could not be loaded: ${err.message || err}`, 'error', 3000);
     }
-    // update controls
+    refreshSettingControls();
+  }
+
+  function refreshSettingControls() {
     qsa('#ffcp-drawer input[type="checkbox"]').forEach(cb => {
       const key = cb.dataset.state;
       if (key in state) cb.checked = !!state[key];
     });
+    qsa('#ffcp-drawer input[data-unit]').forEach(cb => { cb.checked = !!state.hideUnits[cb.dataset.unit]; });
+    qsa('#ffcp-drawer input[data-limit]').forEach(inp => { inp.value = state.unfollowLimits[inp.dataset.limit] ?? 0; });
+    qsa('#ffcp-drawer input[data-scroll-limit]').forEach(inp => { inp.value = state.autoScrollLimits[inp.dataset.scrollLimit] ?? 0; });
+    qsa('#ffcp-drawer input[data-num]').forEach(inp => { inp.value = state[inp.dataset.num]; });
+    qsa('#ffcp-drawer select[data-hide-mode]').forEach(sel => {
+      sel.value = state.hideModes[sel.dataset.hideMode] || 'placeholder';
+    });
+    const dupAction = qs('#ffcp-duplicate-action');
+    if (dupAction) dupAction.value = state.duplicateAction;
+    qsa('#ffcp-drawer textarea[data-domains]').forEach(ta => { ta.value = state[ta.dataset.domains].join(', '); });
     const kw = qs('#ffcp-keywords');
     if (kw) kw.value = state.keywordList.join(', ');
-    const wl = qs('#ffcp-whitelist');
-    if (wl) wl.value = state.whitelist.join(', ');
+    renderKeywordStatus(kw ? parseKeywords(kw.value).errors : []);
+    renderLocaleControls();
+    renderWhitelist();
+    renderRules();
+    renderAdPatterns();
+    renderShortcuts();
+    renderRouteStatus();
+    renderSelectorEditor();
   }
 
+  // Auto-scroll runs as a session: it ends on its own when a limit in state.autoScrollLimits is
+  // reached or the feed stops growing, pauses while the tab is hidden, and adapts its pace to how
+  // quickly new posts arrive (faster while they keep coming, slower while Facebook is loading).
+  const ScrollSession = {
+    active: false,
+    timer: null,
+    startedAt: 0,
+    pausedAt: 0,
+    pausedMs: 0,
+    interval: CONFIG.scrollInterval,
+    scrolls: 0,
+    idleScrolls: 0,
+    lastProcessed: 0,
+    base: null,        // state.stats / pendingTargets counts when the session started
+
+    start() {
+      if (this.active) return;
+      Object.assign(this, {
+        active: true,
+        startedAt: Date.now(),
+        pausedAt: document.hidden ? Date.now() : 0,
+        pausedMs: 0,
+        interval: CONFIG.scrollInterval,
+        scrolls: 0,
+        idleScrolls: 0,
+        lastProcessed: state.stats.processed,
+        base: { ...state.stats, targets: state.pendingTargets.length }
+      });
+      if (!this._onVisibility) {
+        this._onVisibility = () => this.onVisibility();
+        document.addEventListener('visibilitychange', this._onVisibility);
+      }
+      this.schedule();
+    },
+
+    stop(reason) {
+      if (!this.active) return;
+      clearTimeout(this.timer);
+      if (this.pausedAt) this.pausedMs += Date.now() - this.pausedAt;
+      this.active = false;
+      this.timer = null;
+      this.pausedAt = 0;
+      if (state.autoScroll) {
+        state.autoScroll = false;
+        saveSettings();
+        qsa('#ffcp-drawer input[data-state="autoScroll"]').forEach(cb => { cb.checked = false; });
+      }
+      renderScrollStatus();
+      showScrollSummary(this.summary(reason));
+    },
+
+    onVisibility() {
+      if (!this.active) return;
+      if (document.hidden) {
+        clearTimeout(this.timer);
+        this.pausedAt = Date.now();
+      } else if (this.pausedAt) {
+        this.pausedMs += Date.now() - this.pausedAt;
+        this.pausedAt = 0;
+        this.schedule();
+      }
+      renderScrollStatus();
+    },
+
+    schedule() {
+      clearTimeout(this.timer);
+      if (this.pausedAt) return;
+      this.timer = setTimeout(() => this.tick(), this.interval);
+      renderScrollStatus();
+    },
+
+    elapsedMs() {
+      return Date.now() - this.startedAt - this.pausedMs - (this.pausedAt ? Date.now() - this.pausedAt : 0);
+    },
+
+    // null while the session may continue, otherwise why it ends
+    limitReached() {
+      const limits = state.autoScrollLimits;
+      const posts = state.stats.processed - this.base.processed;
+      const targets = state.pendingTargets.length - this.base.targets;
+      if (limits.posts > 0 && posts >= limits.posts) return `${posts} posts processed`;
+      if (limits.targets > 0 && targets >= limits.targets) return `${targets} targets collected`;
+      if (limits.minutes > 0 && this.elapsedMs() >= limits.minutes * 60000) return `${limits.minutes} minutes elapsed`;
+      if (limits.idleScrolls > 0 && this.idleScrolls >= limits.idleScrolls) return `end of feed (no new posts after ${this.idleScrolls} scrolls)`;
+      return null;
+    },
+
+    tick() {
+      if (!this.active || document.hidden) return;
+      // Posts processed since the previous scroll tell how fast the feed is loading
+      const arrived = state.stats.processed - this.lastProcessed;
+      this.lastProcessed = state.stats.processed;
+      if (this.scrolls) {
+        this.idleScrolls = arrived || Scanner.queue.size ? 0 : this.idleScrolls + 1;
+        const factor = arrived ? 0.85 : 1.5;
+        this.interval = Math.round(Math.min(CONFIG.scrollIntervalMax, Math.max(CONFIG.scrollIntervalMin, this.interval * factor)));
+      }
+      const reason = this.limitReached();
+      if (reason) { this.stop(reason); return; }
+      // Let the scanner catch up before loading more
+      if (Scanner.queue.size < CONFIG.scrollBacklogMax) {
+        window.scrollBy(0, CONFIG.scrollAmount);
+        this.scrolls++;
+      }
+      this.schedule();
+    },
+
+    summary(reason) {
+      const delta = (key) => state.stats[key] - this.base[key];
+      return {
+        reason,
+        minutes: this.elapsedMs() / 60000,
+        scrolls: this.scrolls,
+        processed: delta('processed'),
+        hidden: delta('hidden'),
+        unfollowed: delta('unfollowed'),
+        protected: delta('protected'),
+        targets: state.pendingTargets.length - this.base.targets
+      };
+    }
+  };
+
   function toggleAutoScroll() {
-    if (state.autoScroll) {
-      clearInterval(state.scrollTimer);
-      state.scrollTimer = setInterval(() => window.scrollBy(0, CONFIG.scrollAmount), CONFIG.scrollInterval);
-    } else {
-      clearInterval(state.scrollTimer);
-      state.scrollTimer = null;
+    if (state.autoScroll) ScrollSession.start();
+    else ScrollSession.stop('Stopped manually');
+  }
+
+  function renderScrollStatus() {
+    const el = qs('#ffcp-scroll-status');
+    if (!el) return;
+    const s = ScrollSession;
+    if (!s.active) { el.textContent = ''; return; }
+    const secs = Math.round(s.elapsedMs() / 1000);
+    el.textContent = `Session: ${Math.floor(secs / 60)}m ${secs % 60}s · ${state.stats.processed - s.base.processed} posts · `
+      + `${state.pendingTargets.length - s.base.targets} targets · ${s.pausedAt ? 'paused (tab hidden)' : `scrolling every ${(s.interval / 1000).toFixed(1)}s`}`;
+  }
+
+  function showScrollSummary(sum) {
+    const perMin = sum.minutes > 0 ? sum.processed / sum.minutes : 0;
+    showModal(`
+      <h3>Auto-Scroll Session Ended</h3>
+      <p><strong>Stopped:</strong> ${escapeHtml(sum.reason)}</p>
+      <table class="ffcp-table">
+        <tr><td>Duration</td><td>${sum.minutes.toFixed(1)} min (time in a hidden tab not counted)</td></tr>
+        <tr><td>Scrolls</td><td>${sum.scrolls}</td></tr>
+        <tr><td>Posts processed</td><td>${sum.processed} (${perMin.toFixed(1)}/min)</td></tr>
+        <tr><td>Hidden</td><td>${sum.hidden}</td></tr>
+        <tr><td>Targets collected</td><td>${sum.targets}</td></tr>
+        <tr><td>Unfollowed</td><td>${sum.unfollowed}</td></tr>
+        <tr><td>Friends protected</td><td>${sum.protected}</td></tr>
+      </table>
+    `);
+  }
+
+  // -----------------------------
+  // SETTINGS IMPORT / EXPORT
+  // -----------------------------
+  function settingsExport() {
+    return { app: 'ffcp', version: SETTINGS_VERSION, exportedAt: new Date().toISOString(), settings: currentSettings() };
+  }
+
+  // Accepts an export file ({ version, settings }) or a bare pre-versioning settings object
+  function parseSettingsFile(text) {
+    let data;
+    try { data = JSON.parse(text); } catch { throw new Error('File is not valid JSON'); }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('File does not contain a settings object');
+    const versioned = data.settings && typeof data.settings === 'object';
+    const version = versioned ? Number(data.version) || 1 : 1;
+    if (version > SETTINGS_VERSION) throw new Error(`Settings v${version} are newer than this script (v${SETTINGS_VERSION})`);
+    const { settings, dropped } = sanitizeSettings(migrateSettings(version, versioned ? data.settings : data));
+    if (!Object.keys(settings).length) throw new Error('No recognised settings in file');
+    return { settings, dropped, version };
+  }
+
+  const sameJSON = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  function mergeValue(current, incoming) {
+    if (Array.isArray(current) && Array.isArray(incoming)) {
+      const keyOf = (v) => (v && typeof v === 'object' && 'id' in v ? `id:${v.id}` : JSON.stringify(v));
+      const merged = new Map(current.map(v => [keyOf(v), v]));
+      incoming.forEach(v => merged.set(keyOf(v), v));
+      return [...merged.values()];
+    }
+    if (current && incoming && typeof current === 'object' && typeof incoming === 'object') return { ...current, ...incoming };
+    return incoming;
+  }
+
+  function summarizeValue(v) {
+    if (Array.isArray(v)) return `${v.length} item${v.length === 1 ? '' : 's'}`;
+    if (v && typeof v === 'object') return `${Object.keys(v).length} key${Object.keys(v).length === 1 ? '' : 's'}`;
+    return String(v);
+  }
+
+  function diffSettings(incoming) {
+    return SETTINGS_KEYS.filter(k => k in incoming && !sameJSON(state[k], incoming[k])).map(k => {
+      const cur = state[k];
+      const inc = incoming[k];
+      let detail = `${summarizeValue(cur)} → ${summarizeValue(inc)}`;
+      if (Array.isArray(cur) && Array.isArray(inc)) {
+        const curSet = new Set(cur.map(v => JSON.stringify(v)));
+        const incSet = new Set(inc.map(v => JSON.stringify(v)));
+        const added = inc.filter(v => !curSet.has(JSON.stringify(v))).length;
+        const removed = cur.filter(v => !incSet.has(JSON.stringify(v))).length;
+        detail += ` (+${added} / −${removed} on replace)`;
+      }
+      return { key: k, detail };
+    });
+  }
+
+  function applyImportedSettings(incoming, mode) {
+    const base = mode === 'replace' ? JSON.parse(JSON.stringify(DEFAULT_SETTINGS)) : currentSettings();
+    for (const [k, v] of Object.entries(incoming)) {
+      base[k] = mode === 'merge' ? mergeValue(base[k], v) : v;
     }
+    Object.assign(state, base);
+    applySelectorOverrides();
+    saveSettings();
+    refreshSettingControls();
+    toggleAutoScroll();
+    toast(`Settings ${mode === 'merge' ? 'merged' : 'replaced'}`, 'success', 1600);
+  }
+
+  function previewSettingsImport(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let parsed;
+      try { parsed = parseSettingsFile(String(reader.result)); } catch (err) { toast(`Import failed: ${err.message}`, 'error', 3000); return; }
+      const diff = diffSettings(parsed.settings);
+      showModal(`
+        <h3>Import Settings</h3>
+        <p><strong>File:</strong> ${escapeHtml(file.name)} (settings v${parsed.version}${parsed.version < SETTINGS_VERSION ? `, migrated to v${SETTINGS_VERSION}` : ''})</p>
+        ${parsed.dropped.length ? `<p style="color:var(--ffcp-danger)"><strong>Ignored:</strong> ${escapeHtml(parsed.dropped.join(', '))}</p>` : ''}
+        ${diff.length ? `
+          <table class="ffcp-table"><thead><tr><th>Setting</th><th>Change</th></tr></thead><tbody>
+            ${diff.map(d => `<tr><td>${escapeHtml(d.key)}</td><td>${escapeHtml(d.detail)}</td></tr>`).join('')}
+          </tbody></table>
+        ` : '<p>The file matches your current settings.</p>'}
+        <p class="ffcp-hint">Merge combines lists and maps with yours; Replace resets anything not in the file to defaults.</p>
+        <div style="display:flex; gap:8px;">
+          <button class="ffcp-btn primary" id="ffcp-import-merge">Merge</button>
+          <button class="ffcp-btn danger" id="ffcp-import-replace">Replace</button>
+        </div>
+      `);
+      const close = () => qs('#ffcp-modal')?.remove();
+      qs('#ffcp-import-merge').addEventListener('click', () => { applyImportedSettings(parsed.settings, 'merge'); close(); });
+      qs('#ffcp-import-replace').addEventListener('click', () => { applyImportedSettings(parsed.settings, 'replace'); close(); });
+    };
+    reader.onerror = () => toast('Could not read file', 'error', 2000);
+    reader.readAsText(file);
   }
 
   // -----------------------------
@@ -908,24 +5355,43 @@
     injectStyles();
     createDrawer();
     createFab();
+    startShortcuts();
     loadSettings();
+    DailyStats.load();
+    Governor.load();
+    renderGovernorStatus();
+    loadFriends();
+    renderFriendStatus();
+    FriendCrawler.start();
+    loadLog();
+    updateLogPanel();
+    loadLedger();
+    loadReview();
+    Classifier.load();
+    renderClassifier();
+    SeenPosts.load();
+    renderSeenStatus();
+    renderHistory();
+    updateUnfollowCounts();
+    renderQueueStatus();
+    renderBatchStatus();
+    SourceQueue.resume();
     updateUIVisibility();
     updateStats();
     toggleAutoScroll();
+    // Feeds rendered later (or swapped by client-side navigation) arrive as added nodes
+    Router.start();
+    Scanner.start();
+  }
 
-    // Wait for feed, then start scanning and observe mutations
-    const waitFeed = new MutationObserver((_, obs) => {
-      const feed = qs(CONFIG.feedSelector);
-      if (feed) {
-        obs.disconnect();
-        // Interval scanner as safety
-        setInterval(scanFeed, CONFIG.scanInterval);
-        // Observe feed mutations
-        state.feedObserver = new MutationObserver(scanFeed);
-        qsa(CONFIG.feedSelector).forEach(f => state.feedObserver.observe(f, { childList: true, subtree: true }));
-      }
-    });
-    waitFeed.observe(document.body, { childList: true, subtree: true });
+  // tests/ evaluates this file in jsdom with __FFCP_TEST__ set: expose the detectors instead of starting up
+  if (window.__FFCP_TEST__ === true) {
+    window.__FFCP_TEST__ = {
+      state, CONFIG, postContext, classify, findActor, detectSponsored, isSuggested, detectUnitType,
+      isSponsored, matchesKeywords, parseKeywords, captureSnapshot, Classifier, classifierTokens,
+      SeenPosts, outboundUrl, linkDomains, normalizeDomain, adFeatures
+    };
+    return;
   }
 
   if (document.readyState === 'loading') {
@@ -0,0 +1,68 @@
+'use strict';
+
+// Learned filter: scoring starts once both labels have enough examples, and feedback moves posts into Learned.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withPost } = require('./helpers/load-script');
+
+const BAIT = [
+  'Type AMEN if you agree! 99% will scroll past this',
+  'Share this before it gets deleted! Most people will ignore it',
+  'Only a true fan will type yes. Share if you agree',
+  'You will not believe what happened next! Share now before it gets deleted',
+  'Tag a friend who needs to see this. 99% will fail'
+];
+const KEEP = [
+  'Our community garden harvest this weekend went really well',
+  'Notes from the town council meeting about the new library hours',
+  'The hiking club is meeting at the trailhead on Saturday morning',
+  'Photos from the school concert, the choir sounded lovely',
+  'Reminder that the farmers market moves indoors next month'
+];
+
+test('tokens are words and word pairs', () => withPost({}, ({ api }) => {
+  const tokens = api.classifierTokens('Share THIS now https://example.com/x a');
+  assert.deepEqual([...tokens].sort(), ['now', 'share', 'share this', 'this', 'this now'].sort());
+}));
+
+test('scores only after enough examples of both labels', () => withPost({}, ({ api }) => {
+  const { Classifier } = api;
+  BAIT.forEach(t => Classifier.train(t, 'hide'));
+  assert.equal(Classifier.score('Share if you agree'), null);
+  KEEP.forEach(t => Classifier.train(t, 'keep'));
+  assert.ok(Classifier.score('Type yes and share if you agree before it gets deleted') > 0.9);
+  assert.ok(Classifier.score('The library council meeting is on Saturday') < 0.5);
+  assert.ok(Classifier.topTerms('hide').length);
+}));
+
+test('retraining a post with the other label moves it instead of counting it twice', () => withPost({}, ({ api }) => {
+  const { Classifier } = api;
+  assert.equal(Classifier.train(BAIT[0], 'keep'), 'added');
+  assert.equal(Classifier.train(BAIT[0], 'keep'), 'same');
+  assert.equal(Classifier.train(BAIT[0], 'hide'), 'moved');
+  assert.deepEqual({ ...Classifier.model.docs }, { hide: 1, keep: 0 });
+  assert.ok(Object.values(Classifier.model.terms).every(([, keep]) => keep === 0));
+  assert.equal(Classifier.vocab, Object.keys(Classifier.model.terms).length);
+}));
+
+test('training re-reads the stored model so examples from other tabs are kept', () => withPost({}, ({ api }) => {
+  const { Classifier } = api;
+  const stale = JSON.parse(JSON.stringify(Classifier.model));
+  Classifier.train(BAIT[0], 'hide');   // saved by another tab
+  Classifier.model = stale;
+  assert.equal(Classifier.train(KEEP[0], 'keep'), 'added');
+  assert.deepEqual({ ...Classifier.model.docs }, { hide: 1, keep: 1 });
+  assert.equal(Classifier.vocab, Object.keys(Classifier.model.terms).length);
+}));
+
+test('classify reports Learned Filter above the threshold when enabled', () => withPost({
+  body: 'Comment AMEN and share if you agree! 99% will scroll past this'
+}, ({ api, post }) => {
+  BAIT.forEach(t => api.Classifier.train(t, 'hide'));
+  KEEP.forEach(t => api.Classifier.train(t, 'keep'));
+  assert.equal(api.classify(post), null);
+  api.state.learnedFilter = true;
+  assert.equal(api.classify(post)?.reason, 'Learned Filter');
+  api.state.learnedThreshold = 100;
+  assert.equal(api.classify(post), null);
+}));
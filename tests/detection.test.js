@@ -0,0 +1,74 @@
+'use strict';
+
+// Every fixture in tests/fixtures must still classify the way its "expected" block says.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSnapshot, loadFixtures, withPost, appendPost } = require('./helpers/load-script');
+
+for (const { name, snapshot } of loadFixtures()) {
+  test(name, () => {
+    assert.equal(snapshot.format, 'ffcp-snapshot');
+    const { api, window, post } = loadSnapshot(snapshot);
+    try {
+      const { expected } = snapshot;
+      const ctx = api.postContext(post);
+      const match = api.classify(post, ctx);
+      assert.equal(match?.reason ?? null, expected.reason, 'reason');
+      assert.equal(api.detectSponsored(post).sponsored, expected.sponsored, 'sponsored');
+      assert.equal(api.detectUnitType(post), expected.unitType, 'unitType');
+      const actor = api.findActor(post);
+      if (expected.actor === null) {
+        assert.equal(actor, null, 'actor');
+      } else {
+        assert.equal(actor?.name, expected.actor.name, 'actor name');
+        assert.equal(actor?.type, expected.actor.type, 'actor type');
+      }
+    } finally {
+      window.close();
+    }
+  });
+}
+
+// Ordinary posts that used to be taken for feed units
+test('Like buttons of a post and its comments are not follow suggestions', () => withPost({
+  body: 'Nice day',
+  extra: '<div role="button">Like</div><div role="article"><a role="link" href="https://www.facebook.com/bob">Bob</a> great <div role="button">Like</div></div>',
+  settings: { hideUnits: { follow: true } }
+}, ({ api, post }) => {
+  assert.equal(api.detectUnitType(post), null);
+  assert.equal(api.classify(post), null);
+}));
+
+test('life event phrases in the post body do not make a life event', () => withPost({ body: 'I moved to Berlin last week' }, ({ api, post }) => {
+  assert.equal(api.detectUnitType(post), null);
+}));
+
+test('invalid keyword terms are kept and do not disable the ones after them', () => {
+  const typed = '"win a, giveaway, /free(iphone/, scam';
+  return withPost({ body: 'Big giveaway today' }, ({ api, post }) => {
+    const { terms, errors, entries } = api.parseKeywords(typed);
+    assert.deepEqual([...terms.map(t => t.raw)], ['giveaway', 'scam']);
+    assert.equal(errors.length, 2);
+    assert.deepEqual([...entries], ['"win a', 'giveaway', '/free(iphone/', 'scam']);
+    api.state.keywordList = entries;
+    assert.equal(api.classify(post)?.keyword, 'giveaway');
+  });
+});
+
+test('a learned ad pattern does not flag organic posts linking to the same site', () => {
+  const buttons = '<div role="button">Learn more</div><div role="button">Like</div><div role="button">Share</div>';
+  const ad = { page: 'shopco', subtitle: '<span>Promoted</span>', body: 'Big summer deals', hrefs: ['https://shop.example/deal'], extra: buttons };
+  return withPost(ad, ({ api, window, post }) => {
+    const learn = (p) => ({ id: 'ad1', name: 'shopco', addedAt: '2026-01-01T00:00:00Z', features: api.adFeatures(p) });
+    const learned = (p) => api.detectSponsored(p).signals.some(s => s.id === 'learned');
+    assert.deepEqual([...api.adFeatures(post).buttons], ['learnmore']);
+    const organic = appendPost(window, { page: 'jane', body: 'Got these shoes, love them', hrefs: ['https://shop.example/shoes'], extra: buttons });
+    // An ad that carried a timestamp-like link when it was marked
+    api.state.adPatterns = [learn(appendPost(window, { ...ad, subtitle: undefined }))];
+    assert.equal(learned(organic), false);
+    api.state.adPatterns = [learn(post)];
+    assert.equal(learned(organic), false);
+    assert.equal(api.classify(organic), null);
+    assert.equal(learned(appendPost(window, { ...ad, subtitle: '<span>Partner offer</span>', hrefs: ['https://shop.example/other'] })), true);
+  });
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+// Link domain filtering: l.php redirects are unwrapped, and the blocklist matches subdomains unless allowlisted.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withPost } = require('./helpers/load-script');
+
+const wrapped = (url) => `https://l.facebook.com/l.php?u=${encodeURIComponent(url)}&h=AT0abc`;
+const BODY = 'You won\'t believe this';
+
+test('outbound links are unwrapped and stripped of tracking parameters', () => withPost({
+  body: BODY,
+  hrefs: [wrapped('https://www.Shock.example/story?utm_source=fb&fbclid=IwAR1&id=7'), 'https://www.facebook.com/groups/1']
+}, ({ api, post }) => {
+  assert.deepEqual([...api.linkDomains(post)], ['shock.example']);
+  assert.equal(api.outboundUrl(post.querySelector('a[href*="l.php"]').href), 'shock.example/story?id=7');
+}));
+
+test('blocked domains match subdomains, allowlisted ones are exceptions', () => {
+  const settings = { domainBlocklist: ['spam.example'], domainAllowlist: ['news.spam.example'] };
+  const classifyLink = (href) => withPost({ body: BODY, hrefs: [href], settings }, ({ api, post }) => api.classify(post));
+  const match = classifyLink(wrapped('https://cdn.spam.example/x'));
+  assert.equal(match?.reason, 'Blocked Domain');
+  assert.equal(match.domain, 'cdn.spam.example');
+  assert.equal(classifyLink(wrapped('https://news.spam.example/x')), null);
+  assert.equal(classifyLink('https://notspam.example/x'), null);
+});
+
+test('list entries are normalised to host names', () => withPost({}, ({ api }) => {
+  assert.equal(api.normalizeDomain('https://www.Spam.example/path?q=1'), 'spam.example');
+  assert.equal(api.normalizeDomain('*.spam.example'), 'spam.example');
+  assert.equal(api.normalizeDomain('not a domain'), '');
+}));
@@ -0,0 +1,40 @@
+'use strict';
+
+// Duplicate detection: reposts match by text similarity, canonical link or image, within the time window.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { withPost, appendPost } = require('./helpers/load-script');
+
+const CAPTION = 'This old man planted a tree every single day for forty years and now the whole valley is a forest';
+
+// The first post is recorded as processed; fn gets classifyPost(page, body) for posts added after it
+function withFirstPost(body, settings, fn) {
+  return withPost({ page: 'pageone', body, settings: { hideDuplicates: true, ...settings } }, ({ api, window, post }) => {
+    api.SeenPosts.record(api.postContext(post));
+    return fn({ api, post, classifyPost: (page, text) => api.classify(appendPost(window, { page, body: text })) });
+  });
+}
+
+test('a lightly edited repost of the same caption is a duplicate', () => withFirstPost(CAPTION, {}, ({ classifyPost }) => {
+  const match = classifyPost('pagetwo', `${CAPTION} 😢 share`);
+  assert.equal(match?.reason, 'Duplicate');
+  assert.equal(match.action, 'collapse');
+  assert.equal(classifyPost('pagethree', 'Our community garden harvest this weekend went really well, thanks to every volunteer'), null);
+}));
+
+test('the same article behind different redirect and tracking parameters is a duplicate', () => {
+  const link = (href) => `Look at this <a href="${href}">story</a>`;
+  const first = link('https://l.facebook.com/l.php?u=https%3A%2F%2Fwww.example.com%2Fnews%2Fforest%3Futm_source%3Dfb%26fbclid%3DIwAR1&h=AT0');
+  return withFirstPost(first, {}, ({ api, classifyPost }) => {
+    assert.equal(api.outboundUrl('https://www.example.com/news/forest/?utm_medium=social#top'), 'example.com/news/forest');
+    assert.equal(classifyPost('pagetwo', link('https://example.com/news/forest?fbclid=IwAR2'))?.reason, 'Duplicate');
+    assert.equal(classifyPost('pagethree', link('https://example.com/news/other')), null);
+  });
+});
+
+test('a post never matches its own fingerprint, and old fingerprints expire', () => withFirstPost(CAPTION, { duplicateAction: 'hide' }, ({ api, post, classifyPost }) => {
+  assert.equal(api.classify(post), null);
+  assert.equal(classifyPost('pagetwo', CAPTION)?.action, 'hide');
+  api.SeenPosts.entries[0].ts -= (api.state.duplicateWindowHours + 1) * 3600000;
+  assert.equal(classifyPost('pagethree', CAPTION), null);
+}));
@@ -0,0 +1,105 @@
+'use strict';
+
+// Loads the userscript into a jsdom page holding one snapshot (see Save snapshot in the post analysis
+// modal) and returns the detector functions the script exposes when window.__FFCP_TEST__ is set.
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const SCRIPT = fs.readFileSync(path.join(__dirname, '..', '..', 'Facebook_Feed_Cleaner_Pro.user.js'), 'utf8');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+const BLOCK_TAGS = new Set(['ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DIV', 'DL', 'FIELDSET', 'FOOTER', 'FORM',
+  'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'TABLE', 'TR', 'UL']);
+
+// jsdom has no layout, so innerText is missing; this approximation is enough for the detectors:
+// hidden subtrees are skipped and block elements start a new line.
+function installInnerText(window) {
+  function collect(node, out) {
+    if (node.nodeType === window.Node.TEXT_NODE) { out.push(node.nodeValue); return; }
+    if (node.nodeType !== window.Node.ELEMENT_NODE) return;
+    if (node.tagName === 'SCRIPT' || node.tagName === 'STYLE') return;
+    if (window.getComputedStyle(node).display === 'none') return;
+    if (node.tagName === 'BR') { out.push('\n'); return; }
+    const block = BLOCK_TAGS.has(node.tagName);
+    if (block) out.push('\n');
+    for (const child of node.childNodes) collect(child, out);
+    if (block) out.push('\n');
+  }
+  Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+    configurable: true,
+    get() {
+      const out = [];
+      for (const child of this.childNodes) collect(child, out);
+      return out.join('').replace(/[ \t]+\n/g, '\n').replace(/\n{2,}/g, '\n').trim();
+    },
+    set(value) { this.textContent = value; }
+  });
+}
+
+function installGM(window) {
+  const store = {};
+  window.GM_setValue = (key, value) => { store[key] = value; };
+  window.GM_getValue = (key, fallback) => (key in store ? store[key] : fallback);
+  window.GM_addStyle = () => {};
+}
+
+// Returns { api, window, post }; api is the object the script assigns to window.__FFCP_TEST__
+function loadSnapshot(snapshot) {
+  const lang = (snapshot.locale || 'en').replace(/[^a-z-]/gi, '');
+  const html = `<!doctype html><html lang="${lang}"><body>
+    <div role="main"><div role="feed"><div>${snapshot.html}</div></div></div>
+    <div hidden>${snapshot.refs || ''}</div>
+  </body></html>`;
+  const dom = new JSDOM(html, {
+    url: `https://www.facebook.com${snapshot.path || '/'}`,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+  installInnerText(window);
+  installGM(window);
+  window.__FFCP_TEST__ = true;
+  window.eval(SCRIPT);
+  const api = window.__FFCP_TEST__;
+  Object.assign(api.state, snapshot.settings || {});
+  const post = window.document.querySelector('div[role="feed"] > div > *');
+  return { api, window, post };
+}
+
+// Markup of a made-up post: actor heading with a subtitle line (a timestamp link unless given), the body,
+// optional outbound links and any extra markup (buttons, a nested comment article)
+function postHtml({ page = 'somepage', subtitle, body = '', hrefs = [], extra = '' } = {}) {
+  const line = subtitle ?? `<a href="https://www.facebook.com/${page}/posts/1">2h</a>`;
+  return `<div role="article"><div><h3><a role="link" href="https://www.facebook.com/${page}">${page}</a></h3>
+<div>${line}</div></div><div dir="auto">${body}</div>
+${hrefs.map(href => `<a href="${href}">link</a>`).join('')}${extra}</div>`;
+}
+
+// Adds another made-up post to the feed of a loaded page and returns it
+function appendPost(window, options) {
+  const wrap = window.document.createElement('div');
+  wrap.innerHTML = postHtml(options);
+  window.document.querySelector('div[role="feed"]').appendChild(wrap);
+  return wrap.firstElementChild;
+}
+
+// Loads a page holding one made-up post ({ settings } plus postHtml options), calls fn({ api, window, post })
+// and closes the window afterwards
+function withPost({ settings, ...options }, fn) {
+  const loaded = loadSnapshot({ html: postHtml(options), path: '/', settings });
+  try {
+    return fn(loaded);
+  } finally {
+    loaded.window.close();
+  }
+}
+
+function loadFixtures() {
+  return fs.readdirSync(FIXTURES)
+    .filter(name => name.endsWith('.json'))
+    .sort()
+    .map(name => ({ name, snapshot: JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8')) }));
+}
+
+module.exports = { loadSnapshot, loadFixtures, postHtml, appendPost, withPost };
@@ -0,0 +1,52 @@
+'use strict';
+
+// captureSnapshot: scrubbing removes what it promises to, and a captured snapshot still classifies the same.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSnapshot } = require('./helpers/load-script');
+
+const POST = `<div role="article"><div><h3><a role="link" href="https://www.facebook.com/jane.example?__cft__[0]=AZ99&amp;__tn__=-R">Jane Example</a></h3>
+<div><a href="https://www.facebook.com/jane.example/posts/1234567890123?fbclid=IwAR0abc">5h</a></div></div>
+<div dir="auto" onclick="alert(1)">Sunset over the lake with Jane Example. Photo 987654321.</div>
+<img src="https://scontent.example/pic.jpg" alt="Jane Example smiling">
+<span>Sponsored</span><script>window.bad = 1;</script></div>`;
+
+function capture(scrub) {
+  const { api, window, post } = loadSnapshot({ html: POST, path: '/' });
+  const snapshot = JSON.parse(JSON.stringify(api.captureSnapshot(post, scrub)));
+  window.close();
+  return snapshot;
+}
+
+test('names and ids are scrubbed', () => {
+  const snapshot = capture({ names: true, ids: true, text: false });
+  assert.doesNotMatch(snapshot.html, /Jane|jane\.example/);
+  assert.doesNotMatch(snapshot.html, /1234567890123|__cft__|__tn__|fbclid/);
+  assert.match(snapshot.html, /Name 1/);
+  assert.equal(snapshot.observed.actor.name, 'Name 1');
+  // The body text keeps its digits unless text scrubbing is on
+  assert.match(snapshot.html, /Photo 987654321/);
+});
+
+test('unsafe and external content is removed', () => {
+  const snapshot = capture({ names: false, ids: false, text: false });
+  assert.doesNotMatch(snapshot.html, /<script|onclick|scontent/);
+  assert.match(snapshot.html, /Jane Example/);
+});
+
+test('text scrubbing keeps Facebook labels', () => {
+  const snapshot = capture({ names: true, ids: true, text: true });
+  assert.doesNotMatch(snapshot.html, /Sunset|lake/);
+  assert.match(snapshot.html, />Sponsored</);
+  assert.match(snapshot.html, />Name 1</);
+});
+
+test('a captured snapshot classifies like the live post', () => {
+  for (const scrub of [{ names: true, ids: true, text: false }, { names: true, ids: true, text: true }]) {
+    const snapshot = capture(scrub);
+    const { api, window, post } = loadSnapshot(snapshot);
+    const replay = api.captureSnapshot(post, { names: false, ids: false, text: false });
+    assert.deepEqual(JSON.parse(JSON.stringify(replay.observed)), snapshot.observed);
+    window.close();
+  }
+});